@@ -1,13 +1,125 @@
 ﻿import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
 import XLSX from 'xlsx';
+import { polygonContainsPoint } from '../src/geometry.js';
+import { parseRates, parseValueRange } from '../src/parse.js';
 
 const scriptDir = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = path.resolve(scriptDir, '..');
-const workbookPath = path.resolve(rootDir, '..', 'Heritage%20Stock_UPDATED_with_CMA_ROWS1-7_FILLED.xlsx');
-const cbdGeojsonPath = path.resolve(rootDir, '..', 'CBD_Hertitage building.geojson');
-const outputPath = path.resolve(rootDir, 'public', 'data', 'heritage.geojson');
+
+// Fields read from each workbook row. data-build.config.json maps each one to a spreadsheet
+// header, a list of headers (first non-empty value wins), or null when the workbook has none.
+const ROW_FIELDS = [
+  'id',
+  'name',
+  'address',
+  'erfNo',
+  'erfSize',
+  'estValue',
+  'zoning',
+  'usage',
+  'owner',
+  'significance',
+  'gps',
+  'municipalValue',
+  'ratesEstimate',
+];
+
+function normalizeColumns(columns, source) {
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw new Error(`${source}: expected a "columns" object mapping fields to headers`);
+  }
+  const unknown = Object.keys(columns).filter((field) => !ROW_FIELDS.includes(field));
+  if (unknown.length) {
+    throw new Error(`${source}: unknown column field ${unknown.join(', ')} (known fields: ${ROW_FIELDS.join(', ')})`);
+  }
+  const unmapped = ROW_FIELDS.filter((field) => !(field in columns));
+  if (unmapped.length) {
+    throw new Error(`${source}: no column mapped for ${unmapped.join(', ')}; map each to a header, or to null if the workbook has none`);
+  }
+  return Object.fromEntries(
+    ROW_FIELDS.map((field) => {
+      const value = columns[field];
+      if (value == null || value === '') return [field, null];
+      const headers = Array.isArray(value) ? value : [value];
+      if (!headers.length || headers.some((header) => typeof header !== 'string' || !header)) {
+        throw new Error(`${source}: column "${field}" must be a header name, a list of header names, or null`);
+      }
+      return [field, headers];
+    }),
+  );
+}
+
+// Command-line options win over the config file. Config paths are relative to the config
+// file, command-line paths to the working directory.
+function readBuildOptions() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string' },
+      workbook: { type: 'string' },
+      sheet: { type: 'string' },
+      inventory: { type: 'string' },
+      output: { type: 'string' },
+      'inventory-output': { type: 'string' },
+      overrides: { type: 'string' },
+      'nearest-max-m': { type: 'string' },
+      column: { type: 'string', multiple: true },
+    },
+  });
+
+  const configPath = path.resolve(values.config ?? path.join(rootDir, 'data-build.config.json'));
+  if (!fs.existsSync(configPath)) throw new Error(`Build config not found: ${configPath}`);
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const configDir = path.dirname(configPath);
+
+  const resolvePath = (key, cliValue) => {
+    if (cliValue) return path.resolve(cliValue);
+    if (typeof config[key] === 'string' && config[key]) return path.resolve(configDir, config[key]);
+    throw new Error(`${configPath}: "${key}" must be a path`);
+  };
+
+  const columns = { ...config.columns };
+  for (const entry of values.column || []) {
+    const split = entry.indexOf('=');
+    if (split < 1) throw new Error(`--column expects field=Header, got "${entry}"`);
+    columns[entry.slice(0, split).trim()] = entry.slice(split + 1).trim();
+  }
+
+  const nearestMaxM = config.nearestMaxM ?? 15;
+  if (typeof nearestMaxM !== 'number' || !(nearestMaxM >= 0)) {
+    throw new Error(`${configPath}: "nearestMaxM" must be a number of metres, 0 or more`);
+  }
+  const nearestMaxArg = values['nearest-max-m'] == null ? null : Number(values['nearest-max-m'].trim() || NaN);
+  if (nearestMaxArg != null && !(nearestMaxArg >= 0)) {
+    throw new Error(`--nearest-max-m expects a number of metres, 0 or more, got "${values['nearest-max-m']}"`);
+  }
+
+  return {
+    configPath,
+    workbookPath: resolvePath('workbook', values.workbook),
+    sheetName: values.sheet || config.sheet || null,
+    cbdGeojsonPath: resolvePath('inventory', values.inventory),
+    outputPath: resolvePath('output', values.output),
+    inventoryOutputPath: resolvePath('inventoryOutput', values['inventory-output']),
+    matchOverridesPath: resolvePath('matchOverrides', values.overrides),
+    nearestMaxM: nearestMaxArg ?? nearestMaxM,
+    columns: normalizeColumns(columns, values.column?.length ? `${configPath} with --column` : configPath),
+  };
+}
+
+const {
+  configPath,
+  workbookPath,
+  sheetName: configuredSheetName,
+  cbdGeojsonPath,
+  outputPath,
+  inventoryOutputPath,
+  matchOverridesPath,
+  nearestMaxM: NEAREST_MATCH_MAX_M,
+  columns,
+} = readBuildOptions();
 
 function parseCoord(value, axis) {
   if (!value) return null;
@@ -71,33 +183,74 @@ function projectLonLatTo3857(lonLat) {
   return [R * radLon, R * Math.log(Math.tan(Math.PI / 4 + radLat / 2))];
 }
 
-function ringContainsPoint(ring, point) {
+function unproject3857ToLonLat(point) {
   const [x, y] = point;
-  let inside = false;
+  const R = 6378137;
+  const lon = (x / R) * (180 / Math.PI);
+  const lat = (2 * Math.atan(Math.exp(y / R)) - Math.PI / 2) * (180 / Math.PI);
+
+  return [Number(lon.toFixed(7)), Number(lat.toFixed(7))];
+}
 
-  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-    const [xi, yi] = ring[i];
-    const [xj, yj] = ring[j];
-    const intersects = yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / ((yj - yi) || Number.EPSILON) + xi;
-    if (intersects) inside = !inside;
+function polygonsToWgs84(polygons) {
+  return {
+    type: 'MultiPolygon',
+    coordinates: polygons.map((rings) => rings.map((ring) => ring.map(unproject3857ToLonLat))),
+  };
+}
+
+// Area-weighted centroid of the largest polygon's outer ring, returned in WGS84.
+function footprintCentroid(polygons) {
+  let best = null;
+  for (const rings of polygons) {
+    const ring = rings[0] || [];
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+      area += cross;
+      cx += (ring[j][0] + ring[i][0]) * cross;
+      cy += (ring[j][1] + ring[i][1]) * cross;
+    }
+    if (ring.length && (!best || Math.abs(area) > Math.abs(best.area))) best = { area, cx, cy, ring };
+  }
+  if (!best) return null;
+  if (!best.area) {
+    const [x, y] = best.ring.reduce(([sx, sy], [px, py]) => [sx + px, sy + py], [0, 0]);
+    return unproject3857ToLonLat([x / best.ring.length, y / best.ring.length]);
   }
+  return unproject3857ToLonLat([best.cx / (3 * best.area), best.cy / (3 * best.area)]);
+}
 
-  return inside;
+function pointInBBox(point, bbox, margin = 0) {
+  const [x, y] = point;
+  return x >= bbox[0] - margin && x <= bbox[2] + margin && y >= bbox[1] - margin && y <= bbox[3] + margin;
 }
 
-function polygonContainsPoint(rings, point) {
-  if (!rings.length) return false;
-  if (!ringContainsPoint(rings[0], point)) return false;
+function segmentDistance([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
 
-  for (let i = 1; i < rings.length; i += 1) {
-    if (ringContainsPoint(rings[i], point)) return false;
+function polygonsDistance(polygons, point) {
+  let best = Infinity;
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i += 1) {
+        best = Math.min(best, segmentDistance(point, ring[i - 1], ring[i]));
+      }
+    }
   }
-  return true;
+  return best;
 }
 
-function pointInBBox(point, bbox) {
-  const [x, y] = point;
-  return x >= bbox[0] && x <= bbox[2] && y >= bbox[1] && y <= bbox[3];
+// Web Mercator stretches lengths by 1 / cos(latitude).
+function mercatorScale(lat) {
+  return Math.cos((lat * Math.PI) / 180);
 }
 
 function computeBBox(polygons) {
@@ -124,58 +277,195 @@ function normalize(value) {
   return asText(value) || null;
 }
 
+// Words every address shares; counting them made unrelated buildings look alike.
+const ADDRESS_STOP_WORDS = new Set(['street', 'road', 'avenue', 'square', 'corner', 'and', 'of', 'the', 'cape', 'town']);
+// Numbers after these words are units, erven or postcodes rather than house numbers.
+const NON_HOUSE_NUMBER_WORDS = new Set(['unit', 'shop', 'suite', 'flat', 'floor', 'room', 'erf', 'town']);
+
 function normalizeAddress(value) {
   if (!value) return '';
-  return String(value)
-    .toLowerCase()
-    .replace(/,/g, ' ')
-    .replace(/&/g, ' and ')
-    .replace(/\bst\b/g, 'street')
-    .replace(/\brd\b/g, 'road')
-    .replace(/\bave\b/g, 'avenue')
-    .replace(/\s+/g, ' ')
-    .trim();
+  return (
+    String(value)
+      .toLowerCase()
+      .replace(/[–—]/g, '-')
+      .replace(/(\d)\s*-\s*(\d)/g, '$1-$2')
+      .replace(/&/g, ' and ')
+      // Afrikaans compounds: "Langstraat" reads as "lang straat".
+      .replace(/([a-z]{3,})straat\b/g, '$1 straat')
+      .replace(/[^a-z0-9-]+/g, ' ')
+      .replace(/(^|\s)-+|-+(?=\s|$)/g, ' ')
+      .replace(/\b(?:cnr|crn)\b/g, 'corner')
+      // "Long St" is Long Street, but "St Georges" after a number or "corner" is a saint.
+      .replace(/\b([a-z]+) (?:st|str)\b/g, (match, word) => (['corner', 'and', 'of'].includes(word) ? match : `${word} street`))
+      .replace(/\bstraat\b/g, 'street')
+      .replace(/\brd\b/g, 'road')
+      .replace(/\bave?\b/g, 'avenue')
+      .replace(/\bsq\b/g, 'square')
+      .replace(/\b(street|road|avenue|square)s\b/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim()
+  );
 }
 
 function tokens(value) {
-  return normalizeAddress(value).split(/[^a-z0-9]+/).filter(Boolean);
+  return normalizeAddress(value)
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token && !ADDRESS_STOP_WORDS.has(token) && !/^\d/.test(token));
 }
 
-function extractHouseNumber(value) {
-  const match = normalizeAddress(value).match(/\b\d{1,5}\b/);
-  return match ? match[0] : '';
+// House numbers as [low, high] ranges: "59-61 Long St" is one range, "113, 115 Long St" two.
+function extractHouseNumbers(normalized) {
+  const ranges = [];
+  for (const match of normalized.matchAll(/(?:\b([a-z]+) )?\b(\d{1,5})(?:-(\d{1,5}))?[a-z]?\b/g)) {
+    if (NON_HOUSE_NUMBER_WORDS.has(match[1])) continue;
+    const low = Number(match[2]);
+    const high = match[3] ? Number(match[3]) : low;
+    ranges.push([Math.min(low, high), Math.max(low, high)]);
+  }
+  return ranges;
+}
+
+// Street names without their type. "Cnr Bree & Shortmarket" and "113 Long & Church" name two
+// streets and often leave the type off, so each side of "and" contributes its first name word.
+function extractStreets(normalized) {
+  const streets = new Set();
+  for (const match of normalized.matchAll(/\b([a-z]{2,}) (?:street|road|avenue|square)\b/g)) {
+    if (!ADDRESS_STOP_WORDS.has(match[1])) streets.add(match[1]);
+  }
+  const corner = /\bcorner\b/.test(normalized);
+  if (corner || /\band\b/.test(normalized)) {
+    for (const part of normalized.replace(/\bcorner\b/g, ' ').split(/\band\b/)) {
+      const name = part
+        .trim()
+        .split(' ')
+        .find((word) => /^[a-z]{2,}$/.test(word) && !ADDRESS_STOP_WORDS.has(word));
+      if (name) streets.add(name);
+    }
+  }
+  return { streets: Array.from(streets), corner };
+}
+
+function parseAddress(value) {
+  const normalized = normalizeAddress(value);
+  return { normalized, numbers: extractHouseNumbers(normalized), ...extractStreets(normalized) };
+}
+
+function formatNumberRange([low, high]) {
+  return low === high ? String(low) : `${low}-${high}`;
+}
+
+// The first target range that overlaps a candidate range, false when both have numbers and none
+// overlap, null when either address has no number.
+function sharedHouseNumber(rangesA, rangesB) {
+  if (!rangesA.length || !rangesB.length) return null;
+  return rangesA.find(([lowA, highA]) => rangesB.some(([lowB, highB]) => lowA <= highB && lowB <= highA)) || false;
+}
+
+// true / false when both addresses carry a house number, null when either lacks one.
+function houseNumberAgrees(targetAddress, candidate) {
+  const shared = sharedHouseNumber(parseAddress(targetAddress).numbers, candidate.address.numbers);
+  return shared === null ? null : Boolean(shared);
 }
 
 function matchScore(targetAddress, targetName, candidate) {
-  const addressA = normalizeAddress(targetAddress);
-  const nameA = normalizeAddress(targetName);
-  const addressB = candidate.addressNorm;
-  const nameB = candidate.siteNameNorm;
+  const target = parseAddress(targetAddress);
+  const addressA = target.normalized;
+  const addressB = candidate.address.normalized;
 
   let score = 0;
+  const reasons = [];
+
+  // A different house number on the same street is a neighbour, not a weaker match.
+  const sharedNumber = sharedHouseNumber(target.numbers, candidate.address.numbers);
+  if (sharedNumber) {
+    score += 4;
+    reasons.push(`house number ${formatNumberRange(sharedNumber)} matches`);
+  } else if (sharedNumber === false) {
+    score -= 4;
+    reasons.push('house number differs');
+  }
 
-  const numberA = extractHouseNumber(addressA);
-  const numberB = extractHouseNumber(addressB);
-  if (numberA && numberB && numberA === numberB) score += 4;
+  const sharedStreets = target.streets.filter((street) => candidate.address.streets.includes(street));
+  if (sharedStreets.length) {
+    score += 2;
+    reasons.push(`same street (${sharedStreets.join(', ')})`);
+    if (target.corner && sharedStreets.length >= 2) {
+      score += 4;
+      reasons.push(`corner of ${sharedStreets.join(' and ')}`);
+    }
+  } else if (target.streets.length && candidate.address.streets.length) {
+    score -= 2;
+    reasons.push('different street');
+  }
 
-  const tokensA = new Set([...tokens(addressA), ...tokens(nameA)]);
-  const tokensB = new Set([...tokens(addressB), ...tokens(nameB)]);
+  const tokensA = new Set([...tokens(targetAddress), ...tokens(targetName)]);
+  const tokensB = new Set([...tokens(candidate.properties.heritageAddress), ...tokens(candidate.properties.heritageSiteName)]);
 
   let overlap = 0;
   for (const token of tokensA) {
     if (tokensB.has(token)) overlap += 1;
   }
   score += overlap;
+  if (overlap) reasons.push(`${overlap} shared address/name ${overlap === 1 ? 'word' : 'words'}`);
 
   if (addressA && addressB && (addressB.includes(addressA) || addressA.includes(addressB))) {
     score += 4;
+    reasons.push('one address contains the other');
   }
 
-  return score;
+  return { score, reasons };
+}
+
+// Pins or rejects inventory matches per workbook row. Kept in version control so reviewed
+// decisions survive every rebuild.
+function loadMatchOverrides() {
+  if (!fs.existsSync(matchOverridesPath)) return [];
+  const parsed = JSON.parse(fs.readFileSync(matchOverridesPath, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed?.overrides;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${matchOverridesPath}: expected an "overrides" array`);
+  }
+
+  return entries.map((entry, index) => {
+    const site = asText(entry?.site);
+    const inventoryKey = asText(entry?.inventoryKey);
+    const action = asText(entry?.action);
+    if (!site || !inventoryKey || !['pin', 'reject'].includes(action)) {
+      throw new Error(
+        `${matchOverridesPath}: override ${index + 1} needs "site", "inventoryKey" and an "action" of "pin" or "reject"`,
+      );
+    }
+    return { site, inventoryKey, action, note: asText(entry.note) };
+  });
+}
+
+function indexMatchOverrides(overrides) {
+  const bySite = new Map();
+  for (const override of overrides) {
+    const entry = bySite.get(override.site) || { pin: null, rejected: new Set() };
+    if (override.action === 'pin') {
+      if (entry.pin && entry.pin.inventoryKey !== override.inventoryKey) {
+        throw new Error(`${matchOverridesPath}: site ${override.site} is pinned to more than one inventory key`);
+      }
+      entry.pin = override;
+    } else {
+      entry.rejected.add(override.inventoryKey);
+    }
+    bySite.set(override.site, entry);
+  }
+  for (const [site, entry] of bySite) {
+    if (entry.pin && entry.rejected.has(entry.pin.inventoryKey)) {
+      throw new Error(`${matchOverridesPath}: site ${site} both pins and rejects inventory key ${entry.pin.inventoryKey}`);
+    }
+  }
+  return bySite;
 }
 
 function loadCBDIndex() {
-  if (!fs.existsSync(cbdGeojsonPath)) return [];
+  if (!fs.existsSync(cbdGeojsonPath)) {
+    console.warn(`Inventory GeoJSON not found: ${cbdGeojsonPath}; building without footprint matches`);
+    return [];
+  }
   const cbd = JSON.parse(fs.readFileSync(cbdGeojsonPath, 'utf8'));
   const features = cbd.features || [];
 
@@ -193,15 +483,15 @@ function loadCBDIndex() {
       const heritageAddress = normalize(p.STR_ADR);
       const heritageSiteName = normalize(p.HRTG_INV_SITE_NAME);
 
-      if ((!heritageAddress && !heritageSiteName) || !polygons.length) return null;
+      if (!polygons.length) return null;
 
       const bbox = computeBBox(polygons);
 
       return {
         bbox,
         polygons,
-        addressNorm: normalizeAddress(heritageAddress),
-        siteNameNorm: normalizeAddress(heritageSiteName),
+        matchable: Boolean(heritageAddress || heritageSiteName),
+        address: parseAddress(heritageAddress),
         properties: {
           heritageInventoryKey: normalize(p.SL_HRTG_INV_KEY),
           heritageStatus: normalize(p.HRTG_INV_STS),
@@ -227,77 +517,251 @@ if (!fs.existsSync(workbookPath)) {
 }
 
 const cbdIndex = loadCBDIndex();
+const matchIndex = cbdIndex.filter((candidate) => candidate.matchable);
+const candidateByKey = new Map(
+  cbdIndex
+    .filter((candidate) => candidate.properties.heritageInventoryKey)
+    .map((candidate) => [candidate.properties.heritageInventoryKey, candidate]),
+);
+const matchOverrides = loadMatchOverrides();
+const overridesBySite = indexMatchOverrides(matchOverrides);
+const shortlistByCandidate = new Map();
 
 const workbook = XLSX.readFile(workbookPath, { cellDates: true });
-const firstSheetName = workbook.SheetNames[0];
-const rows = XLSX.utils.sheet_to_json(workbook.Sheets[firstSheetName], { defval: '' });
+const sheetName = configuredSheetName ?? workbook.SheetNames[0];
+const sheet = workbook.Sheets[sheetName];
+if (!sheet) {
+  throw new Error(`Sheet "${sheetName}" not found in ${workbookPath} (sheets: ${workbook.SheetNames.join(', ')})`);
+}
+
+// A renamed header would otherwise turn every value in that column blank.
+const [headerRow = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+const headers = new Set(headerRow.map((header) => String(header)));
+const missingColumns = ROW_FIELDS.filter(
+  (field) => columns[field] && !columns[field].some((header) => headers.has(header)),
+);
+if (missingColumns.length) {
+  throw new Error(
+    [
+      `Sheet "${sheetName}" of ${workbookPath} is missing mapped columns:`,
+      ...missingColumns.map((field) => `  ${field}: ${columns[field].map((header) => `"${header}"`).join(' or ')}`),
+      `Headers found: ${[...headers].map((header) => `"${header}"`).join(', ')}`,
+      `Update "columns" in ${configPath} or pass --column <field>=<header>.`,
+    ].join('\n'),
+  );
+}
+
+const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+
+function cell(row, field) {
+  for (const header of columns[field] || []) {
+    const value = asText(row[header]);
+    if (value) return value;
+  }
+  return '';
+}
 
 const features = [];
 let skipped = 0;
+let placedFromFootprint = 0;
+const unplacedRows = [];
 let matchedCBD = 0;
+let footprintCount = 0;
+let irregularEstimates = 0;
+let nearestMatches = 0;
+let pinnedMatches = 0;
+let rejectedCandidates = 0;
 const ADDRESS_MATCH_THRESHOLD = 8;
 const ADDRESS_MATCH_LOW_THRESHOLD = 6;
+const MATCH_CANDIDATE_LIMIT = 3;
+// Rows without usable GPS are only placed on a match at least this sure.
+const PLACEABLE_CONFIDENCES = new Set(['high', 'medium', 'confirmed']);
+// GPS points a few metres outside their parcel (on the pavement or street) take the nearest
+// footprint within NEAREST_MATCH_MAX_M (nearestMaxM or --nearest-max-m); 0 turns it off.
+function nearestFootprint(point3857, lat, candidates) {
+  const scale = mercatorScale(lat);
+  const margin = NEAREST_MATCH_MAX_M / scale;
+  let best = null;
+  for (const candidate of candidates) {
+    if (!pointInBBox(point3857, candidate.bbox, margin)) continue;
+    const distanceM = polygonsDistance(candidate.polygons, point3857) * scale;
+    if (distanceM <= NEAREST_MATCH_MAX_M && (!best || distanceM < best.distanceM)) {
+      best = { candidate, distanceM };
+    }
+  }
+  return best;
+}
 
-for (const row of rows) {
-  const coords = parseGps(row.CMA_GPS);
-  if (!coords) {
-    skipped += 1;
-    continue;
+function candidateEntry(candidate, method, score, confidence, reasons, distanceM = null) {
+  return { candidate, method, score, confidence, reasons, distanceM };
+}
+
+// Every plausible inventory building for one row, best first. The order is the match ranking:
+// containment, then a nearest footprint, then address guesses; rows without GPS only get the
+// guesses. A nearest footprint whose house number contradicts the workbook address only beats
+// low-confidence address guesses. Entries without a confidence are listed as alternatives but
+// never picked.
+function rankCandidates(point3857, lat, sourceAddress, sourceName, rejected) {
+  const allowed = matchIndex.filter((candidate) => !rejected.has(candidate.properties.heritageInventoryKey));
+
+  const contained = allowed
+    .filter(
+      (candidate) =>
+        point3857 &&
+        pointInBBox(point3857, candidate.bbox) &&
+        candidate.polygons.some((polygon) => polygonContainsPoint(polygon, point3857)),
+    )
+    .map((candidate) => candidateEntry(candidate, 'spatial-3857', 100, 'high', ['GPS point inside footprint'], 0));
+
+  let nearest = null;
+  if (point3857 && !contained.length && NEAREST_MATCH_MAX_M > 0) {
+    const found = nearestFootprint(point3857, lat, allowed);
+    if (found) {
+      const agrees = houseNumberAgrees(sourceAddress, found.candidate);
+      const distanceM = Number(found.distanceM.toFixed(1));
+      nearest = candidateEntry(
+        found.candidate,
+        'spatial-nearest',
+        // 100 at the parcel edge, down to 50 at the distance limit.
+        Number((100 - (50 * found.distanceM) / NEAREST_MATCH_MAX_M).toFixed(1)),
+        agrees === true ? 'high' : agrees === false ? 'low' : 'medium',
+        [`GPS point ${distanceM} m from footprint`, ...(agrees === false ? ['house number differs'] : [])],
+        distanceM,
+      );
+    }
   }
-  const point3857 = projectLonLatTo3857(coords);
 
-  const sourceAddress = asText(row['77 Shortmarket Street']);
-  const sourceName = asText(row['Name / Description']);
+  const guesses = allowed
+    .map((candidate) => ({ candidate, ...matchScore(sourceAddress, sourceName, candidate) }))
+    .filter((guess) => guess.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ candidate, score, reasons }) => {
+      if (score >= ADDRESS_MATCH_THRESHOLD) return candidateEntry(candidate, 'address-fuzzy', score, 'medium', reasons);
+      if (score >= ADDRESS_MATCH_LOW_THRESHOLD) return candidateEntry(candidate, 'address-fuzzy-low', score, 'low', reasons);
+      return candidateEntry(candidate, 'address-weak', score, null, reasons);
+    });
+
+  const nearestConflicts = nearest?.confidence === 'low';
+  const ordered = [
+    ...contained,
+    ...(nearest && !nearestConflicts ? [nearest] : []),
+    ...guesses.filter((entry) => entry.confidence === 'medium'),
+    ...(nearestConflicts ? [nearest] : []),
+    ...guesses.filter((entry) => entry.confidence !== 'medium'),
+  ];
+
+  // One entry per building; an address guess for a spatially matched building adds its reasons.
+  const byCandidate = new Map();
+  for (const entry of ordered) {
+    const existing = byCandidate.get(entry.candidate);
+    if (existing) existing.reasons.push(...entry.reasons.filter((reason) => !existing.reasons.includes(reason)));
+    else byCandidate.set(entry.candidate, entry);
+  }
+  return Array.from(byCandidate.values());
+}
 
-  let heritageContext = null;
-  let matchMethod = null;
-  let matchScoreValue = null;
-  let matchConfidence = null;
+function candidateSummary(entry, selected) {
+  const p = entry.candidate.properties;
+  return {
+    inventoryKey: p.heritageInventoryKey,
+    siteName: p.heritageSiteName,
+    address: p.heritageAddress,
+    cityGrade: p.heritageCityGrade,
+    method: entry.method,
+    score: entry.score,
+    confidence: entry.confidence,
+    distanceM: entry.distanceM,
+    reasons: entry.reasons,
+    selected,
+  };
+}
 
-  for (const candidate of cbdIndex) {
-    if (!pointInBBox(point3857, candidate.bbox)) continue;
+const seenSites = new Set();
 
-    let contained = false;
-    for (const polygon of candidate.polygons) {
-      if (polygonContainsPoint(polygon, point3857)) {
-        contained = true;
-        break;
-      }
-    }
+function unplacedReason(row, match) {
+  const gps = cell(row, 'gps');
+  const gpsNote = gps ? `GPS "${gps}" could not be read` : 'No GPS';
+  if (!match) return `${gpsNote} and no inventory match for the address`;
+  const label = match.candidate.properties.heritageAddress || match.candidate.properties.heritageSiteName;
+  return `${gpsNote}; the best address match (${label}) has ${match.confidence} confidence`;
+}
 
-    if (contained) {
-      heritageContext = candidate.properties;
-      matchMethod = 'spatial-3857';
-      matchScoreValue = 100;
-      matchConfidence = 'high';
-      break;
+for (const row of rows) {
+  const gps = parseGps(cell(row, 'gps'));
+  const point3857 = gps ? projectLonLatTo3857(gps) : null;
+
+  const estValueRange = parseValueRange(cell(row, 'estValue'));
+  if (estValueRange?.irregular) irregularEstimates += 1;
+  const rates = parseRates(cell(row, 'ratesEstimate'));
+
+  const sourceAddress = cell(row, 'address');
+  const sourceName = cell(row, 'name');
+
+  const siteId = cell(row, 'id') || `row-${features.length + 1}`;
+  seenSites.add(siteId);
+  const override = overridesBySite.get(siteId);
+  const rejected = override?.rejected || new Set();
+  rejectedCandidates += rejected.size;
+
+  let ranked = rankCandidates(point3857, gps?.[1], sourceAddress, sourceName, rejected);
+  let match = ranked[0]?.confidence ? ranked[0] : null;
+
+  if (override?.pin) {
+    const pinned = candidateByKey.get(override.pin.inventoryKey);
+    if (pinned) {
+      const ranking = ranked.find((entry) => entry.candidate === pinned);
+      match = candidateEntry(
+        pinned,
+        'override',
+        null,
+        'confirmed',
+        [`pinned in match-overrides.json${override.pin.note ? `: ${override.pin.note}` : ''}`, ...(ranking?.reasons || [])],
+        ranking?.distanceM ?? null,
+      );
+      ranked = [match, ...ranked.filter((entry) => entry.candidate !== pinned)];
+      pinnedMatches += 1;
+    } else {
+      console.warn(`Override for site ${siteId}: inventory key ${override.pin.inventoryKey} not found; pin ignored`);
     }
   }
 
-  if (!heritageContext) {
-    let bestCandidate = null;
-    let bestScore = 0;
-    for (const candidate of cbdIndex) {
-      const score = matchScore(sourceAddress, sourceName, candidate);
-      if (score > bestScore) {
-        bestScore = score;
-        bestCandidate = candidate;
-      }
-    }
-    if (bestScore >= ADDRESS_MATCH_THRESHOLD && bestCandidate) {
-      heritageContext = bestCandidate.properties;
-      matchMethod = 'address-fuzzy';
-      matchScoreValue = bestScore;
-      matchConfidence = 'medium';
-    } else if (bestScore >= ADDRESS_MATCH_LOW_THRESHOLD && bestCandidate) {
-      heritageContext = bestCandidate.properties;
-      matchMethod = 'address-fuzzy-low';
-      matchScoreValue = bestScore;
-      matchConfidence = 'low';
+  // Without GPS a row is placed on its matched footprint, or listed as unplaced with the reason.
+  let coords = gps;
+  let locationSource = 'gps';
+  if (!gps) {
+    coords = match && PLACEABLE_CONFIDENCES.has(match.confidence) ? footprintCentroid(match.candidate.polygons) : null;
+    if (!coords) {
+      skipped += 1;
+      unplacedRows.push({
+        id: siteId,
+        name: sourceName,
+        address: sourceAddress,
+        cmaGps: cell(row, 'gps'),
+        reason: unplacedReason(row, match),
+        candidates: ranked.slice(0, MATCH_CANDIDATE_LIMIT).map((entry) => candidateSummary(entry, false)),
+      });
+      continue;
     }
+    locationSource = 'footprint-centroid';
+    placedFromFootprint += 1;
   }
 
+  const heritageContext = match ? match.candidate.properties : null;
+  const matchedCandidate = match ? match.candidate : null;
+  const matchMethod = match ? match.method : null;
+  const matchScoreValue = match ? match.score : null;
+  const matchConfidence = match ? match.confidence : null;
+  const matchDistanceM = match ? match.distanceM : null;
+
   if (heritageContext) matchedCBD += 1;
+  if (matchMethod === 'spatial-nearest') nearestMatches += 1;
+  const footprint = matchedCandidate ? matchedCandidate.polygons : null;
+  if (footprint) footprintCount += 1;
+  if (matchedCandidate) {
+    const ids = shortlistByCandidate.get(matchedCandidate) || [];
+    ids.push(siteId);
+    shortlistByCandidate.set(matchedCandidate, ids);
+  }
 
   features.push({
     type: 'Feature',
@@ -306,41 +770,102 @@ for (const row of rows) {
       coordinates: coords,
     },
     properties: {
-      id: asText(row['#']) || `row-${features.length + 1}`,
-      name: asText(row['Name / Description']),
-      address: asText(row['77 Shortmarket Street']),
-      erfNo: asText(row['ERF No.']),
-      erfSize: asText(row['ERF Size']),
-      estValue: asText(row['Est. Value']),
-      zoning: asText(row['CMA_Zoning'] || row['Zoning']),
-      usage: asText(row['CMA_Usage']),
-      owner: asText(row['CMA_Owner'] || row['Owner']),
-      significance: asText(row['Heritage / Significance (as listed)']),
-      cmaGps: asText(row.CMA_GPS),
-      cmaMunicipalValue2023: asText(row.CMA_Municipal_value_2023),
-      cmaRatesEstimate: asText(row.CMA_Rates_est),
+      id: siteId,
+      name: sourceName,
+      address: sourceAddress,
+      erfNo: cell(row, 'erfNo'),
+      erfSize: cell(row, 'erfSize'),
+      estValue: cell(row, 'estValue'),
+      estValueLow: estValueRange ? estValueRange.low : null,
+      estValueHigh: estValueRange ? estValueRange.high : null,
+      estValueMid: estValueRange ? estValueRange.mid : null,
+      estValueIrregular: Boolean(estValueRange?.irregular),
+      zoning: cell(row, 'zoning'),
+      usage: cell(row, 'usage'),
+      owner: cell(row, 'owner'),
+      significance: cell(row, 'significance'),
+      cmaGps: cell(row, 'gps'),
+      cmaMunicipalValue2023: cell(row, 'municipalValue'),
+      cmaRatesEstimate: cell(row, 'ratesEstimate'),
+      ratesAmount: rates ? rates.amount : null,
+      ratesPeriod: rates ? rates.period : null,
+      ratesPeriodAssumed: rates ? rates.periodAssumed : null,
+      ratesAnnual: rates ? rates.annual : null,
+      locationSource,
       ...heritageContext,
       heritageMatchMethod: heritageContext ? matchMethod : null,
       heritageMatchScore: heritageContext ? matchScoreValue : null,
       heritageMatchConfidence: heritageContext ? matchConfidence : null,
+      heritageMatchDistanceM: heritageContext ? matchDistanceM : null,
+      heritageMatchHouseNumberAgrees: matchedCandidate ? houseNumberAgrees(sourceAddress, matchedCandidate) : null,
+      heritageMatchCandidates: ranked.slice(0, MATCH_CANDIDATE_LIMIT).map((entry) => candidateSummary(entry, entry === match)),
+      heritageMatchRejectedKeys: Array.from(rejected),
       hasCBDHeritageMatch: Boolean(heritageContext),
+      hasFootprint: Boolean(footprint),
     },
+    // Foreign member: the matched CBD parcel outline in WGS84, kept off `geometry`
+    // so the point source can still cluster.
+    footprint: footprint ? polygonsToWgs84(footprint) : null,
   });
 }
 
+for (const site of overridesBySite.keys()) {
+  if (!seenSites.has(site)) console.warn(`Override for site ${site}: no workbook row has that #`);
+}
+
 const geojson = {
   type: 'FeatureCollection',
   generatedAt: new Date().toISOString(),
   sourceWorkbook: path.basename(workbookPath),
+  sourceSheet: sheetName,
   sourceCBDGeoJSON: fs.existsSync(cbdGeojsonPath) ? path.basename(cbdGeojsonPath) : null,
   totalRows: rows.length,
   skippedRows: skipped,
+  placedFromFootprintRows: placedFromFootprint,
+  unplacedRows,
   matchedCBDHeritageRows: matchedCBD,
+  nearestMatchRows: nearestMatches,
+  nearestMatchMaxM: NEAREST_MATCH_MAX_M,
+  // The app merges review decisions into these when exporting a new overrides file.
+  matchOverrides,
+  footprintRows: footprintCount,
   features,
 };
 
+const inventoryFeatures = cbdIndex.map((candidate, index) => {
+  const shortlistIds = shortlistByCandidate.get(candidate) || [];
+  return {
+    type: 'Feature',
+    geometry: polygonsToWgs84(candidate.polygons),
+    properties: {
+      inventoryId: candidate.properties.heritageInventoryKey || `inv-${index + 1}`,
+      ...candidate.properties,
+      inShortlist: shortlistIds.length > 0,
+      shortlistIds: shortlistIds.join(','),
+    },
+  };
+});
+
+const inventory = {
+  type: 'FeatureCollection',
+  generatedAt: geojson.generatedAt,
+  sourceCBDGeoJSON: geojson.sourceCBDGeoJSON,
+  totalFeatures: inventoryFeatures.length,
+  shortlistedFeatures: shortlistByCandidate.size,
+  features: inventoryFeatures,
+};
+
 fs.writeFileSync(outputPath, JSON.stringify(geojson, null, 2));
+fs.writeFileSync(inventoryOutputPath, JSON.stringify(inventory));
 
 console.log(`Wrote ${features.length} features to ${outputPath}`);
-console.log(`Skipped ${skipped} rows without valid GPS`);
+console.log(`Placed ${placedFromFootprint} rows without valid GPS at their matched footprint`);
+console.log(`Listed ${skipped} rows that could not be placed as unplacedRows`);
 console.log(`CBD heritage matches: ${matchedCBD}`);
+console.log(`Nearest-footprint matches within ${NEAREST_MATCH_MAX_M} m: ${nearestMatches}`);
+if (matchOverrides.length) {
+  console.log(`Match overrides: ${pinnedMatches} pinned, ${rejectedCandidates} rejected`);
+}
+console.log(`Footprints attached: ${footprintCount}`);
+if (irregularEstimates) console.log(`Est. Value with irregular digit grouping: ${irregularEstimates}`);
+console.log(`Wrote ${inventoryFeatures.length} inventory features to ${inventoryOutputPath}`);
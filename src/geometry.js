@@ -0,0 +1,26 @@
+// Planar point-in-polygon helpers shared by the browser app and scripts/build-geojson.mjs.
+// Rings are arrays of [x, y]; the first ring of a polygon is the outer boundary, the rest are holes.
+
+export function ringContainsPoint(ring, point) {
+  const [x, y] = point;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / ((yj - yi) || Number.EPSILON) + xi;
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+}
+
+export function polygonContainsPoint(rings, point) {
+  if (!rings.length) return false;
+  if (!ringContainsPoint(rings[0], point)) return false;
+
+  for (let i = 1; i < rings.length; i += 1) {
+    if (ringContainsPoint(rings[i], point)) return false;
+  }
+  return true;
+}
@@ -1,6 +1,8 @@
 ﻿import mapboxgl from 'mapbox-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
 import './style.css';
+import { polygonContainsPoint } from './geometry.js';
+import { parseNumber, parseRates, parseSizeNumber, parseValueRange } from './parse.js';
 
 const token = import.meta.env.VITE_MAPBOX_TOKEN;
 const streetViewProxyBase = (import.meta.env.VITE_STREETVIEW_PROXY_BASE || '').trim();
@@ -10,6 +12,14 @@ if (!token) {
 }
 mapboxgl.accessToken = token;
 
+const RATES_OUTLIER_TOLERANCE = 0.1;
+// Default ERF size cutoff: larger sizes are treated as data-entry errors and left out of dashboard totals and
+// charts. Users can change or remove it from the Size vs Value panel.
+const DEFAULT_SIZE_CUTOFF_M2 = 20000;
+// Sites further than this many residual standard deviations from the trend line are flagged.
+const PRICING_FLAG_SD = 1.5;
+const CHART_SCALES = ['linear', 'log'];
+
 const app = document.querySelector('#app');
 app.innerHTML = `
   <div class="app-shell">
@@ -24,8 +34,21 @@ app.innerHTML = `
         <div class="view-switch" id="viewSwitch">
           <button class="view-btn active" data-view="trends">Dashboard</button>
           <button class="view-btn" data-view="map">Map</button>
+          <button class="view-btn" data-view="table">Table</button>
+          <button class="view-btn" data-view="board">Pipeline</button>
+          <button class="view-btn" data-view="review">Match Review</button>
         </div>
         <button id="styleToggle" class="pill-btn">Dark Map</button>
+        <button id="shareLink" class="pill-btn ghost" title="Copy a link to this view">Copy Link</button>
+        <details class="menu" id="exportMenu">
+          <summary class="pill-btn ghost">Export</summary>
+          <div class="menu-panel">
+            <p class="menu-title">Current filter</p>
+            <button data-export="csv">CSV</button>
+            <button data-export="geojson">GeoJSON</button>
+            <button data-export="xlsx">Excel (XLSX)</button>
+          </div>
+        </details>
       </div>
     </header>
 
@@ -35,38 +58,163 @@ app.innerHTML = `
         <input id="searchInput" type="search" placeholder="Buildings, streets, notes" />
       </label>
 
-      <div class="filter-row">
-        <label class="field">
-          <span>Usage</span>
-          <select id="usageFilter"></select>
-        </label>
-        <label class="field">
-          <span>Zoning</span>
-          <select id="zoningFilter"></select>
+      <div class="facet-panel">
+        <div class="facet-head">
+          <span>Filters</span>
+          <button id="clearFacets" class="text-btn" type="button">Clear all</button>
+        </div>
+        <div id="facetList" class="facet-list"></div>
+      </div>
+
+      <div class="layer-row" id="inventoryControls">
+        <label class="toggle-field">
+          <input id="inventoryToggle" type="checkbox" checked />
+          <span>CBD Inventory Layer</span>
         </label>
         <label class="field">
-          <span>Heritage Grade</span>
-          <select id="heritageGradeFilter"></select>
+          <span>Inventory Grade</span>
+          <select id="inventoryGradeFilter"></select>
         </label>
       </div>
 
       <div class="stats" id="stats"></div>
 
+      <details id="unplacedBlock" class="unplaced-block hidden">
+        <summary id="unplacedSummary"></summary>
+        <ul id="unplacedList"></ul>
+      </details>
+
+      <div id="compareTray" class="compare-tray hidden"></div>
+
       <div class="list-block">
-        <p class="list-title">Listed Sites</p>
+        <div class="list-head">
+          <p class="list-title">Listed Sites</p>
+          <select id="listSortSelect" aria-label="Sort sites">
+            <option value="workbook">Workbook order</option>
+            <option value="score">Upgrade score</option>
+          </select>
+        </div>
         <ul id="siteList" class="site-list"></ul>
       </div>
     </aside>
 
     <main id="trendsView" class="trends-view">
+      <section id="trendSelection" class="trend-selection hidden"></section>
+
       <section class="trend-cards" id="trendCards"></section>
 
       <section class="trend-panel chart-panel">
         <header>
           <h3>Size vs Value</h3>
-          <p>ERF size compared with municipal value.</p>
+          <p>
+            ERF size compared with municipal value. Click a dot to select it, double-click to open it on the map, drag a box to filter by size and value.
+            <button id="resetBrush" class="text-btn hidden" type="button">Reset size/value filter</button>
+          </p>
         </header>
+        <div class="chart-controls">
+          <label>
+            <span>Size Axis</span>
+            <select id="chartScaleX">
+              <option value="linear">Linear</option>
+              <option value="log">Log</option>
+            </select>
+          </label>
+          <label>
+            <span>Value Axis</span>
+            <select id="chartScaleY">
+              <option value="linear">Linear</option>
+              <option value="log">Log</option>
+            </select>
+          </label>
+          <label>
+            <span>Size Cutoff (m2)</span>
+            <input id="sizeCutoffInput" type="number" min="1" step="500" placeholder="No cutoff" />
+          </label>
+        </div>
         <div id="sizeValueChart" class="chart-wrap"></div>
+        <div id="chartNotes" class="chart-notes"></div>
+      </section>
+
+      <section id="breakdownPanels" class="breakdown-grid"></section>
+
+      <section class="trend-panel">
+        <header>
+          <h3>Rates Burden</h3>
+          <p>Annual rates as a share of municipal value. Sites more than ${RATES_OUTLIER_TOLERANCE * 100}% off the median are flagged.</p>
+        </header>
+        <div class="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Site</th>
+                <th>Rates / yr</th>
+                <th>Municipal Value</th>
+                <th>Rates / Value</th>
+                <th>vs Median</th>
+              </tr>
+            </thead>
+            <tbody id="ratesTableBody"></tbody>
+          </table>
+        </div>
+      </section>
+
+      <section class="trend-panel portfolio-panel">
+        <header>
+          <h3>Portfolio Scenario</h3>
+          <p>Upgrade and re-let every site in the current filter on the same assumptions. Acquisition defaults to the resolved value unless a price is set on the site card.</p>
+        </header>
+        <div class="scenario-layout">
+          <div id="portfolioInputs" class="scenario-inputs"></div>
+          <div id="portfolioSummary" class="scenario-summary"></div>
+        </div>
+        <div class="table-wrap portfolio-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Site</th>
+                <th>Total Cost</th>
+                <th>NOI / yr</th>
+                <th>Yield on Cost</th>
+                <th>Post-upgrade Value</th>
+                <th>Payback</th>
+              </tr>
+            </thead>
+            <tbody id="portfolioTableBody"></tbody>
+          </table>
+        </div>
+      </section>
+
+      <section class="trend-panel score-panel">
+        <header>
+          <h3>Upgrade Potential</h3>
+          <p>Weighted score (0-100) from heritage grade, value/m2 against the precinct median, ERF size, usage and zoning, and rates burden.</p>
+        </header>
+        <div class="score-layout">
+          <div class="score-controls">
+            <div id="scoreWeights" class="score-weights"></div>
+            <label class="field">
+              <span>Preset</span>
+              <select id="scorePresetSelect"></select>
+            </label>
+            <div class="score-preset-actions">
+              <button class="text-btn" id="saveScorePreset" type="button">Save as preset</button>
+              <button class="text-btn" id="deleteScorePreset" type="button">Delete preset</button>
+            </div>
+          </div>
+          <div class="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Site</th>
+                  <th>Score</th>
+                  <th>Breakdown</th>
+                </tr>
+              </thead>
+              <tbody id="scoreTableBody"></tbody>
+            </table>
+          </div>
+        </div>
       </section>
 
       <section class="trend-panel">
@@ -90,35 +238,424 @@ app.innerHTML = `
       </section>
     </main>
 
+    <main id="tableView" class="table-view hidden">
+      <header class="board-head">
+        <div>
+          <h2>Site Table</h2>
+          <p id="tableSummary" class="board-summary"></p>
+        </div>
+        <div class="board-actions">
+          <details class="menu" id="columnMenu">
+            <summary class="pill-btn ghost">Columns</summary>
+            <div class="menu-panel column-panel" id="columnOptions"></div>
+          </details>
+          <label class="page-size">
+            <span>Rows</span>
+            <select id="tablePageSize"></select>
+          </label>
+        </div>
+      </header>
+      <div class="table-wrap data-table-wrap">
+        <table class="data-table">
+          <thead id="dataTableHead"></thead>
+          <tbody id="dataTableBody"></tbody>
+          <tfoot id="dataTableFoot"></tfoot>
+        </table>
+      </div>
+      <footer id="tablePager" class="table-pager"></footer>
+    </main>
+
+    <main id="boardView" class="board-view hidden">
+      <header class="board-head">
+        <div>
+          <h2>Deal Pipeline</h2>
+          <p id="boardSummary" class="board-summary"></p>
+        </div>
+        <div class="board-actions">
+          <button class="pill-btn ghost" data-pipeline-action="import">Import JSON</button>
+          <button class="pill-btn ghost" data-pipeline-action="export">Export JSON</button>
+          <input id="pipelineImportInput" type="file" accept="application/json,.json" hidden />
+        </div>
+      </header>
+      <div id="boardColumns" class="board-columns"></div>
+    </main>
+
+    <main id="reviewView" class="review-view hidden">
+      <header class="board-head">
+        <div>
+          <h2>Match Review</h2>
+          <p id="reviewSummary" class="board-summary"></p>
+        </div>
+        <div class="board-actions">
+          <label class="page-size">
+            <span>Show</span>
+            <select id="reviewFilterSelect"></select>
+          </label>
+          <button id="exportOverrides" class="pill-btn ghost" type="button">Export match-overrides.json</button>
+        </div>
+      </header>
+      <div id="reviewList" class="review-list"></div>
+    </main>
+
+    <section id="mapLegend" class="map-legend">
+      <label class="field">
+        <span>Colour By</span>
+        <select id="colorBySelect"></select>
+      </label>
+      <label class="toggle-field">
+        <input id="sizeByValueToggle" type="checkbox" />
+        <span>Size by value</span>
+      </label>
+      <div id="legendItems" class="legend-items"></div>
+      <label class="field">
+        <span>Cluster Labels</span>
+        <select id="clusterLabelSelect">
+          <option value="count">Site count</option>
+          <option value="value">Total value</option>
+          <option value="grade">Best grade</option>
+        </select>
+      </label>
+      <div class="legend-tool">
+        <label class="field">
+          <span>Search Radius (m)</span>
+          <input id="proximityRadiusInput" type="number" min="25" step="25" data-proximity-radius />
+        </label>
+        <div class="legend-actions">
+          <button id="proximityPick" class="pill-btn ghost" type="button">Search around a point</button>
+          <button id="proximityClear" class="text-btn hidden" type="button">Clear</button>
+        </div>
+        <p id="proximityStatus" class="legend-note"></p>
+      </div>
+      <div class="legend-tool area-controls">
+        <label class="field">
+          <span>Area Filter</span>
+          <select id="areaSelect"></select>
+        </label>
+        <div class="legend-actions">
+          <button class="pill-btn ghost" type="button" data-draw-mode="polygon">Draw polygon</button>
+          <button class="pill-btn ghost" type="button" data-draw-mode="rectangle">Draw rectangle</button>
+        </div>
+        <div class="legend-actions">
+          <button id="saveArea" class="text-btn" type="button">Save area</button>
+          <button id="deleteArea" class="text-btn" type="button">Delete</button>
+          <button id="exportAreas" class="text-btn" type="button">Export GeoJSON</button>
+        </div>
+        <p id="areaStatus" class="legend-note"></p>
+      </div>
+    </section>
+
     <article id="detailCard" class="detail-card hidden"></article>
+
+    <section id="compareView" class="compare-view hidden" aria-label="Site comparison"></section>
   </div>
 `;
 
 const searchInput = document.querySelector('#searchInput');
-const usageFilter = document.querySelector('#usageFilter');
-const zoningFilter = document.querySelector('#zoningFilter');
-const heritageGradeFilter = document.querySelector('#heritageGradeFilter');
+const facetList = document.querySelector('#facetList');
+const clearFacets = document.querySelector('#clearFacets');
 const siteList = document.querySelector('#siteList');
 const stats = document.querySelector('#stats');
+const unplacedBlock = document.querySelector('#unplacedBlock');
+const unplacedSummary = document.querySelector('#unplacedSummary');
+const unplacedList = document.querySelector('#unplacedList');
 const detailCard = document.querySelector('#detailCard');
+const compareTray = document.querySelector('#compareTray');
+const compareView = document.querySelector('#compareView');
 const styleToggle = document.querySelector('#styleToggle');
+const shareLink = document.querySelector('#shareLink');
+const exportMenu = document.querySelector('#exportMenu');
 const trendsView = document.querySelector('#trendsView');
+const boardView = document.querySelector('#boardView');
+const reviewView = document.querySelector('#reviewView');
+const reviewSummary = document.querySelector('#reviewSummary');
+const reviewFilterSelect = document.querySelector('#reviewFilterSelect');
+const reviewList = document.querySelector('#reviewList');
+const exportOverrides = document.querySelector('#exportOverrides');
+const tableView = document.querySelector('#tableView');
+const tableSummary = document.querySelector('#tableSummary');
+const columnOptions = document.querySelector('#columnOptions');
+const tablePageSize = document.querySelector('#tablePageSize');
+const dataTableHead = document.querySelector('#dataTableHead');
+const dataTableBody = document.querySelector('#dataTableBody');
+const dataTableFoot = document.querySelector('#dataTableFoot');
+const tablePager = document.querySelector('#tablePager');
+const boardSummary = document.querySelector('#boardSummary');
+const boardColumns = document.querySelector('#boardColumns');
+const pipelineImportInput = document.querySelector('#pipelineImportInput');
 const viewSwitch = document.querySelector('#viewSwitch');
 const trendCards = document.querySelector('#trendCards');
 const sizeValueChart = document.querySelector('#sizeValueChart');
+const trendSelection = document.querySelector('#trendSelection');
+const breakdownPanels = document.querySelector('#breakdownPanels');
+const chartScaleX = document.querySelector('#chartScaleX');
+const chartScaleY = document.querySelector('#chartScaleY');
+const sizeCutoffInput = document.querySelector('#sizeCutoffInput');
+const chartNotes = document.querySelector('#chartNotes');
+const resetBrush = document.querySelector('#resetBrush');
 const pricingTableBody = document.querySelector('#pricingTableBody');
+const scoreTableBody = document.querySelector('#scoreTableBody');
+const portfolioInputs = document.querySelector('#portfolioInputs');
+const portfolioSummary = document.querySelector('#portfolioSummary');
+const portfolioTableBody = document.querySelector('#portfolioTableBody');
+const scoreWeights = document.querySelector('#scoreWeights');
+const scorePresetSelect = document.querySelector('#scorePresetSelect');
+const saveScorePreset = document.querySelector('#saveScorePreset');
+const deleteScorePreset = document.querySelector('#deleteScorePreset');
+const listSortSelect = document.querySelector('#listSortSelect');
+const ratesTableBody = document.querySelector('#ratesTableBody');
 const mapContainer = document.querySelector('#map');
+const mapLegend = document.querySelector('#mapLegend');
+const colorBySelect = document.querySelector('#colorBySelect');
+const sizeByValueToggle = document.querySelector('#sizeByValueToggle');
+const legendItems = document.querySelector('#legendItems');
+const clusterLabelSelect = document.querySelector('#clusterLabelSelect');
+const proximityRadiusInput = document.querySelector('#proximityRadiusInput');
+const proximityPick = document.querySelector('#proximityPick');
+const proximityClear = document.querySelector('#proximityClear');
+const proximityStatus = document.querySelector('#proximityStatus');
+const areaControls = document.querySelector('.area-controls');
+const areaSelect = document.querySelector('#areaSelect');
+const saveArea = document.querySelector('#saveArea');
+const deleteArea = document.querySelector('#deleteArea');
+const exportAreas = document.querySelector('#exportAreas');
+const areaStatus = document.querySelector('#areaStatus');
+const inventoryControls = document.querySelector('#inventoryControls');
+const inventoryToggle = document.querySelector('#inventoryToggle');
+const inventoryGradeFilter = document.querySelector('#inventoryGradeFilter');
+
+const FACET_EMPTY = 'Not recorded';
+const VIEWS = ['trends', 'map', 'table', 'board', 'review'];
+
+// Deal pipeline stages in board column order. Entries live in localStorage, keyed by site id.
+const PIPELINE_STATUSES = [
+  { key: 'watching', label: 'Watching' },
+  { key: 'contacted', label: 'Contacted' },
+  { key: 'viewing', label: 'Viewing' },
+  { key: 'offer', label: 'Offer' },
+  { key: 'acquired', label: 'Acquired' },
+  { key: 'rejected', label: 'Rejected' },
+];
+const PIPELINE_STORAGE_KEY = 'heritage-atlas.pipeline.v1';
+// Review decisions wait here until they are exported and committed as scripts/match-overrides.json.
+const MATCH_REVIEW_STORAGE_KEY = 'heritage-atlas.match-review.v1';
+const REVIEW_CONFIDENCES = ['low', 'medium'];
+const REVIEW_FILTERS = [
+  { key: 'pending', label: 'Awaiting review' },
+  { key: 'low', label: 'Low confidence' },
+  { key: 'medium', label: 'Medium confidence' },
+  { key: 'decided', label: 'Decided here' },
+];
+const PIPELINE_UNTRACKED = 'Not tracked';
+
+// Multi-select facets. `key` is the state field holding the selected values, `urlKey` its hash parameter.
+const FACETS = [
+  { key: 'usage', urlKey: 'usage', label: 'Usage', value: (p) => p.usage },
+  { key: 'zoning', urlKey: 'zoning', label: 'Zoning', value: (p) => p.zoning },
+  { key: 'heritageGrade', urlKey: 'grade', label: 'City Grade', value: (p) => p.heritageCityGrade },
+  { key: 'councilGrade', urlKey: 'council', label: 'Council Grade', value: (p) => p.heritageCouncilGrade },
+  { key: 'nhraStatus', urlKey: 'nhra', label: 'NHRA Status', value: (p) => p.nhraStatus },
+  { key: 'heritageType', urlKey: 'type', label: 'Heritage Resource Type', value: (p) => p.heritageTypePrimary },
+  { key: 'matchConfidence', urlKey: 'match', label: 'Match Confidence', value: (p) => p.heritageMatchConfidence },
+  {
+    key: 'cbdMatch',
+    urlKey: 'cbd',
+    label: 'CBD Match',
+    value: (p) => (p.hasCBDHeritageMatch ? 'Matched' : 'Not matched'),
+  },
+  { key: 'pipelineStatus', urlKey: 'status', label: 'Pipeline Status', value: (p) => pipelineStatusFor(p.id)?.label || PIPELINE_UNTRACKED },
+];
+
+// Numeric range filters over the resolved metrics from metricsForFeature().
+const RANGE_FILTERS = [
+  { key: 'sizeRange', urlKey: 'size', label: 'ERF Size', metric: 'size', format: (value) => `${formatNumber(value)} m2` },
+  { key: 'valueRange', urlKey: 'value', label: 'Resolved Value', metric: 'value', format: (value) => formatCompactCurrency(value) },
+  { key: 'pricePerM2Range', urlKey: 'ppm2', label: 'Value / m2', metric: 'pricePerM2', format: (value) => formatCompactCurrency(value) },
+  { key: 'ratesRange', urlKey: 'rates', label: 'Rates / yr', metric: 'rates', format: (value) => formatCompactCurrency(value) },
+];
+const POINT_COLOR = '#111111';
+const NO_DATA_COLOR = '#c7c7cc';
+const CATEGORY_PALETTE = ['#f25734', '#2c58d6', '#ffe600', '#3fa66b', '#b455c9', '#e59a2e', '#46b3c8', '#c9404a', '#6b4f2a', '#111111'];
+const GRADE_COLORS = { 1: '#5c0d0d', 2: '#9c2f1f', '3A': '#f25734', '3B': '#f59b4c', '3C': '#ffe600', 4: '#8e8e93' };
+const RAMP_COLORS = ['#fff4b8', '#ffe600', '#f59b4c', '#f25734', '#9c2f1f'];
+// Highest significance first; used to pick the best grade inside a cluster.
+const GRADE_ORDER = ['1', '2', '3A', '3B', '3C', '4'];
+const NO_GRADE_RANK = 99;
+const CLUSTER_LABEL_MODES = ['count', 'value', 'grade'];
+
+// Point/footprint colour modes. Category modes read a feature property; ramp modes read a derived metric
+// that currentCollection() copies onto each feature.
+const COLOR_MODES = [
+  { key: 'none', label: 'Single colour' },
+  { key: 'grade', label: 'City grade', type: 'category', property: 'heritageCityGrade', colors: GRADE_COLORS },
+  { key: 'usage', label: 'Usage', type: 'category', property: 'usage' },
+  { key: 'zoning', label: 'Zoning', type: 'category', property: 'zoning' },
+  {
+    key: 'pricePerM2',
+    label: 'Value / m2',
+    type: 'ramp',
+    property: 'metricPricePerM2',
+    read: (feature) => metricsForFeature(feature).pricePerM2,
+    format: (value) => formatCompactCurrency(value),
+  },
+  {
+    key: 'score',
+    label: 'Upgrade score',
+    type: 'ramp',
+    property: 'metricScore',
+    read: (feature) => scoreForFeature(feature).score,
+    cacheKey: () => formatScoreWeights(state.scoreWeights),
+    format: (value) => formatNumber(value),
+  },
+];
+
+// Upgrade-potential factors. Each maps a site to 0..1 (1 = most upside) or null when its input is missing.
+// A site's score is the weighted mean of its available factors, scaled to 0..100.
+const SCORE_FACTORS = [
+  { key: 'grade', label: 'Heritage grade', hint: 'Higher significance scores higher' },
+  { key: 'price', label: 'Value/m2 discount', hint: 'Below the precinct median scores higher' },
+  { key: 'size', label: 'ERF size', hint: 'Larger sites score higher' },
+  { key: 'use', label: 'Usage & zoning', hint: 'More conversion headroom scores higher' },
+  { key: 'rates', label: 'Rates burden', hint: 'Lower rates/value scores higher' },
+];
+const SCORE_WEIGHT_MAX = 5;
+const DEFAULT_SCORE_WEIGHTS = { grade: 1, price: 3, size: 2, use: 1, rates: 1 };
+const SCORE_PRESETS = [
+  { key: 'balanced', label: 'Balanced', weights: DEFAULT_SCORE_WEIGHTS },
+  { key: 'value', label: 'Value hunting', weights: { grade: 0, price: 5, size: 2, use: 1, rates: 2 } },
+  { key: 'heritage', label: 'Heritage-led', weights: { grade: 5, price: 2, size: 1, use: 1, rates: 0 } },
+  { key: 'scale', label: 'Large floorplates', weights: { grade: 1, price: 2, size: 5, use: 2, rates: 1 } },
+];
+const SCORE_PRESET_STORAGE_KEY = 'heritage-atlas.score-presets.v1';
+// Rough conversion headroom by current use and zoning. Values not listed count as neutral (0.5).
+const USAGE_POTENTIAL = {
+  'Business / Commercial': 0.6,
+  'Shop / Retail': 0.7,
+  'Tourism & Hospitality': 0.5,
+  'General Residential (Flats / Hostel / Barracks)': 0.8,
+};
+const ZONING_POTENTIAL = { GB7: 1, GB6: 0.9, GB5: 0.8, MU3: 0.7, MU2: 0.5, MU1: 0.3 };
+const LIST_SORTS = ['workbook', 'score'];
+
+// Derived columns for the table view. Every GeoJSON property is offered as a text column after these.
+// `aggregate` picks the footer figure for numeric columns.
+const TABLE_METRIC_COLUMNS = [
+  { key: 'metric:size', label: 'Resolved Size (m2)', numeric: true, aggregate: 'sum', get: (feature) => metricsForFeature(feature).size, format: (value) => formatNumber(value) },
+  { key: 'metric:value', label: 'Resolved Value', numeric: true, aggregate: 'sum', get: (feature) => metricsForFeature(feature).value, format: formatCurrency },
+  { key: 'metric:pricePerM2', label: 'Value / m2', numeric: true, aggregate: 'mean', get: (feature) => metricsForFeature(feature).pricePerM2, format: formatCurrency },
+  { key: 'metric:rates', label: 'Rates / yr', numeric: true, aggregate: 'sum', get: (feature) => metricsForFeature(feature).rates, format: formatCurrency },
+  {
+    key: 'metric:ratesToValue',
+    label: 'Rates / Value',
+    numeric: true,
+    aggregate: 'mean',
+    get: (feature) => metricsForFeature(feature).ratesToValue,
+    format: (value) => formatPercent(value, 3),
+  },
+  { key: 'metric:score', label: 'Upgrade Score', numeric: true, aggregate: 'mean', get: (feature) => scoreForFeature(feature).score, format: (value) => formatNumber(value) },
+  { key: 'metric:street', label: 'Street', get: (feature) => streetFromAddress(feature.properties.address) },
+  { key: 'metric:status', label: 'Pipeline Status', get: (feature) => pipelineStatusFor(feature.properties.id)?.label },
+];
+const DEFAULT_TABLE_COLUMNS = [
+  'name',
+  'address',
+  'usage',
+  'zoning',
+  'heritageCityGrade',
+  'metric:size',
+  'metric:value',
+  'metric:pricePerM2',
+  'metric:rates',
+  'metric:score',
+];
+const TABLE_PAGE_SIZES = [25, 50, 100];
+
+// Walking radius for the detail card's nearby list, the map circle and "search around a point".
+const DEFAULT_PROXIMITY_RADIUS_M = 200;
+const NEARBY_LIST_LIMIT = 12;
+const EARTH_RADIUS_M = 6371008.8;
+
+const AREA_STORAGE_KEY = 'heritage-atlas.areas.v1';
+// Clicking within this many pixels of the first corner closes a polygon.
+const AREA_SNAP_PX = 10;
+
+// Dashboard breakdown panels. `value` gives a site's category; `order` fixes the row order, otherwise rows rank by value.
+const BREAKDOWNS = [
+  { key: 'grade', label: 'City Grade', value: (p) => p.heritageCityGrade, order: GRADE_ORDER },
+  { key: 'usage', label: 'Usage', value: (p) => p.usage },
+  { key: 'zoning', label: 'Zoning', value: (p) => p.zoning },
+  { key: 'street', label: 'Street', value: (p) => streetFromAddress(p.address) },
+];
+const STREET_SUFFIXES = {
+  st: 'Street',
+  str: 'Street',
+  street: 'Street',
+  rd: 'Road',
+  road: 'Road',
+  ave: 'Avenue',
+  avenue: 'Avenue',
+  sq: 'Square',
+  square: 'Square',
+  ln: 'Lane',
+  lane: 'Lane',
+  pl: 'Place',
+  place: 'Place',
+  mall: 'Mall',
+};
+
+// Shared upgrade-scenario assumptions. Rent is per lettable m2 per month, and the resolved ERF size stands in for
+// lettable area. Edits and per-site acquisition prices persist in localStorage.
+const SCENARIO_DEFAULTS = { refurbPerM2: 8000, rentPerM2: 150, vacancy: 10, capRate: 9.5 };
+const SCENARIO_FIELDS = [
+  { key: 'refurbPerM2', label: 'Refurb / m2 (R)', step: 100 },
+  { key: 'rentPerM2', label: 'Rent / m2 / month (R)', step: 5 },
+  { key: 'vacancy', label: 'Vacancy (%)', step: 1, max: 100 },
+  { key: 'capRate', label: 'Cap Rate (%)', step: 0.25 },
+];
+const SCENARIO_STORAGE_KEY = 'heritage-atlas.scenario.v1';
+const RANGE_STEPS = 200;
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 5;
+const HISTOGRAM_BINS = 14;
 
 const state = {
   data: null,
+  inventory: null,
   filteredFeatures: [],
   selectedId: null,
   search: '',
-  usage: 'all',
-  zoning: 'all',
-  heritageGrade: 'all',
+  ...Object.fromEntries(FACETS.map((facet) => [facet.key, []])),
+  ...Object.fromEntries(RANGE_FILTERS.map((range) => [range.key, null])),
+  colorBy: 'none',
+  sizeByValue: false,
+  clusterLabel: 'count',
+  compareIds: [],
+  compareOpen: false,
+  scoreWeights: DEFAULT_SCORE_WEIGHTS,
+  listSort: 'workbook',
+  sizeCutoff: DEFAULT_SIZE_CUTOFF_M2,
+  chartScaleX: 'linear',
+  chartScaleY: 'linear',
+  scenario: { ...SCENARIO_DEFAULTS },
+  scenarioPrices: {},
+  scenarioOpen: false,
+  tableColumns: DEFAULT_TABLE_COLUMNS,
+  tableSort: '',
+  tablePage: 0,
+  tablePageSize: TABLE_PAGE_SIZES[0],
+  proximityRadius: DEFAULT_PROXIMITY_RADIUS_M,
+  proximityCenter: null,
+  proximityPicking: false,
+  areaRing: null,
+  drawMode: null,
+  drawPoints: [],
+  drawHover: null,
+  inventoryVisible: true,
+  inventoryGrade: 'all',
   styleKey: 'light',
   view: 'trends',
+  pipeline: {},
+  matchReview: [],
+  reviewFilter: 'pending',
 };
 
 const styles = {
@@ -128,6 +665,151 @@ const styles = {
 };
 const styleOrder = ['light', 'dark', 'satellite3d'];
 
+// State fields mirrored into the URL hash. Values equal to `fallback` are left out of the link.
+const URL_STATE_PARAMS = [
+  { key: 'q', field: 'search', fallback: '' },
+  ...FACETS.map((facet) => ({
+    key: facet.urlKey,
+    field: facet.key,
+    fallback: [],
+    parse: (value) => value.split('|').filter(Boolean),
+    format: (value) => value.join('|'),
+  })),
+  ...RANGE_FILTERS.map((range) => ({
+    key: range.urlKey,
+    field: range.key,
+    fallback: null,
+    parse: (value) => {
+      const [min, max] = value.split('..').map(Number);
+      return Number.isFinite(min) && Number.isFinite(max) ? [Math.min(min, max), Math.max(min, max)] : null;
+    },
+    format: (value) => value.map((bound) => Number(bound.toFixed(2))).join('..'),
+  })),
+  { key: 'site', field: 'selectedId', fallback: null },
+  { key: 'view', field: 'view', fallback: null, parse: (value) => (VIEWS.includes(value) ? value : null) },
+  {
+    key: 'review',
+    field: 'reviewFilter',
+    fallback: 'pending',
+    parse: (value) => (REVIEW_FILTERS.some((filter) => filter.key === value) ? value : 'pending'),
+  },
+  { key: 'style', field: 'styleKey', fallback: 'light', parse: (value) => (styles[value] ? value : 'light') },
+  { key: 'inv', field: 'inventoryVisible', fallback: true, parse: (value) => value !== '0', format: (value) => (value ? '1' : '0') },
+  { key: 'invGrade', field: 'inventoryGrade', fallback: 'all' },
+  { key: 'color', field: 'colorBy', fallback: 'none' },
+  { key: 'clusters', field: 'clusterLabel', fallback: 'count', parse: (value) => (CLUSTER_LABEL_MODES.includes(value) ? value : 'count') },
+  {
+    key: 'compare',
+    field: 'compareIds',
+    fallback: [],
+    parse: (value) => value.split('|').filter(Boolean).slice(0, COMPARE_MAX),
+    format: (value) => value.join('|'),
+  },
+  { key: 'cmpOpen', field: 'compareOpen', fallback: false, parse: (value) => value === '1', format: () => '1' },
+  { key: 'markers', field: 'sizeByValue', fallback: false, parse: (value) => value === 'value', format: () => 'value' },
+  { key: 'weights', field: 'scoreWeights', fallback: DEFAULT_SCORE_WEIGHTS, parse: parseScoreWeights, format: formatScoreWeights },
+  {
+    key: 'cutoff',
+    field: 'sizeCutoff',
+    fallback: DEFAULT_SIZE_CUTOFF_M2,
+    parse: (value) => (value === 'none' ? Infinity : Number(value) > 0 ? Number(value) : DEFAULT_SIZE_CUTOFF_M2),
+    format: (value) => (Number.isFinite(value) ? String(value) : 'none'),
+  },
+  { key: 'xScale', field: 'chartScaleX', fallback: 'linear', parse: (value) => (CHART_SCALES.includes(value) ? value : 'linear') },
+  { key: 'yScale', field: 'chartScaleY', fallback: 'linear', parse: (value) => (CHART_SCALES.includes(value) ? value : 'linear') },
+  {
+    key: 'cols',
+    field: 'tableColumns',
+    fallback: DEFAULT_TABLE_COLUMNS,
+    parse: (value) => value.split('|').filter(Boolean),
+    format: (value) => value.join('|'),
+  },
+  { key: 'tsort', field: 'tableSort', fallback: '' },
+  {
+    key: 'near',
+    field: 'proximityRadius',
+    fallback: DEFAULT_PROXIMITY_RADIUS_M,
+    parse: (value) => (Number(value) > 0 ? Number(value) : DEFAULT_PROXIMITY_RADIUS_M),
+    format: String,
+  },
+  {
+    key: 'around',
+    field: 'proximityCenter',
+    fallback: null,
+    parse: (value) => {
+      const [lon, lat] = value.split(',').map(Number);
+      return Number.isFinite(lon) && Number.isFinite(lat) ? [lon, lat] : null;
+    },
+    format: (value) => value.map((coordinate) => coordinate.toFixed(5)).join(','),
+  },
+  { key: 'area', field: 'areaRing', fallback: null, parse: parseAreaRing, format: formatAreaRing },
+  { key: 'sort', field: 'listSort', fallback: 'workbook', parse: (value) => (LIST_SORTS.includes(value) ? value : 'workbook') },
+];
+
+let urlSyncReady = false;
+
+function parseCamera(value) {
+  if (!value) return null;
+  const [lon, lat, zoom, pitch = 0, bearing = 0] = value.split(',').map(Number);
+  if (![lon, lat, zoom, pitch, bearing].every(Number.isFinite)) return null;
+  return { center: [lon, lat], zoom, pitch, bearing };
+}
+
+function formatCamera() {
+  const center = map.getCenter();
+  return [
+    center.lng.toFixed(5),
+    center.lat.toFixed(5),
+    map.getZoom().toFixed(2),
+    map.getPitch().toFixed(1),
+    map.getBearing().toFixed(1),
+  ].join(',');
+}
+
+function readUrlState() {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  const next = { camera: parseCamera(params.get('cam')) };
+  for (const { key, field, fallback, parse } of URL_STATE_PARAMS) {
+    const raw = params.get(key);
+    if (raw == null) next[field] = Array.isArray(fallback) && !fallback.length ? [] : fallback;
+    else next[field] = parse ? parse(raw) : raw;
+  }
+  return next;
+}
+
+function assignUrlState(next) {
+  for (const { field } of URL_STATE_PARAMS) {
+    if (field === 'view' || field === 'styleKey') continue;
+    state[field] = next[field];
+  }
+}
+
+function serializeUrlState() {
+  const params = new URLSearchParams();
+  for (const { key, field, fallback, format } of URL_STATE_PARAMS) {
+    const value = state[field];
+    if (value == null || value === fallback) continue;
+    if (Array.isArray(value) && !value.length) continue;
+    params.set(key, format ? format(value) : String(value));
+  }
+  params.set('cam', formatCamera());
+  return params.toString().replace(/%2C/g, ',').replace(/%7C/g, '|').replace(/%3A/g, ':');
+}
+
+// mode: 'push' adds a history entry, 'replace' rewrites the current one, 'none' skips the update.
+function writeUrlState(mode = 'push') {
+  if (!urlSyncReady || mode === 'none') return;
+  const hash = `#${serializeUrlState()}`;
+  if (hash === window.location.hash) return;
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  if (mode === 'replace') window.history.replaceState(null, '', url);
+  else window.history.pushState(null, '', url);
+}
+
+const initialUrlState = readUrlState();
+assignUrlState(initialUrlState);
+state.styleKey = initialUrlState.styleKey;
+
 const METRIC_OVERRIDES = new Map([
   ['tobacco mini market|93 loop street', { size: 453, value: 16000000 }],
   ['121 long salon|121 long st', { size: 64, value: 7500000 }],
@@ -136,11 +818,11 @@ const METRIC_OVERRIDES = new Map([
 
 const map = new mapboxgl.Map({
   container: 'map',
-  style: styles.light,
-  center: [18.4233, -33.9189],
-  zoom: 14,
-  pitch: 0,
-  bearing: 0,
+  style: styles[state.styleKey],
+  center: initialUrlState.camera?.center ?? [18.4233, -33.9189],
+  zoom: initialUrlState.camera?.zoom ?? 14,
+  pitch: initialUrlState.camera?.pitch ?? 0,
+  bearing: initialUrlState.camera?.bearing ?? 0,
   attributionControl: false,
   antialias: true,
 });
@@ -156,9 +838,98 @@ async function loadData() {
   state.data = await response.json();
 }
 
-function getUniqueValues(key) {
+async function loadInventory() {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}data/cbd-inventory.geojson?t=${Date.now()}`, {
+      cache: 'no-store',
+    });
+    if (!response.ok) throw new Error('Could not load cbd-inventory.geojson');
+    state.inventory = await response.json();
+  } catch (error) {
+    console.warn(error);
+    state.inventory = null;
+  }
+}
+
+function readPipeline() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PIPELINE_STORAGE_KEY) || 'null');
+    return sanitizePipeline(stored?.sites);
+  } catch (error) {
+    console.warn(error);
+    return {};
+  }
+}
+
+function savePipeline() {
+  try {
+    window.localStorage.setItem(PIPELINE_STORAGE_KEY, JSON.stringify({ version: 1, sites: state.pipeline }));
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+// Keeps only well-formed entries so a hand-edited or foreign file cannot poison the stored pipeline.
+function sanitizePipeline(sites) {
+  const clean = {};
+  if (!sites || typeof sites !== 'object') return clean;
+  for (const [id, entry] of Object.entries(sites)) {
+    if (!entry || typeof entry !== 'object') continue;
+    const status = PIPELINE_STATUSES.some((option) => option.key === entry.status) ? entry.status : '';
+    const notes = typeof entry.notes === 'string' ? entry.notes : '';
+    if (!status && !notes.trim()) continue;
+    clean[String(id)] = { status, notes, updatedAt: typeof entry.updatedAt === 'string' ? entry.updatedAt : '' };
+  }
+  return clean;
+}
+
+function pipelineEntry(id) {
+  return state.pipeline[String(id)] || null;
+}
+
+function pipelineStatusFor(id) {
+  const status = pipelineEntry(id)?.status;
+  return PIPELINE_STATUSES.find((option) => option.key === status) || null;
+}
+
+function updatePipelineEntry(id, changes) {
+  const key = String(id);
+  const next = { status: '', notes: '', ...state.pipeline[key], ...changes, updatedAt: new Date().toISOString() };
+  if (!next.status && !next.notes.trim()) delete state.pipeline[key];
+  else state.pipeline[key] = next;
+  savePipeline();
+}
+
+function exportPipeline() {
+  const sites = {};
+  for (const [id, entry] of Object.entries(state.pipeline)) {
+    const p = anyFeatureById(id)?.properties;
+    // Name and address ride along for readability; import only reads status, notes and updatedAt.
+    sites[id] = { ...entry, name: p?.name || '', address: p?.address || '' };
+  }
+  const payload = { version: 1, exportedAt: new Date().toISOString(), sites };
+  const stamp = new Date().toISOString().slice(0, 10);
+  downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `heritage-pipeline-${stamp}.json`);
+}
+
+// Merges an exported pipeline into the local one; the most recently updated entry wins per site.
+async function importPipeline(file) {
+  const parsed = JSON.parse(await file.text());
+  const incoming = sanitizePipeline(parsed?.sites ?? parsed);
+  let changed = 0;
+  for (const [id, entry] of Object.entries(incoming)) {
+    const current = state.pipeline[id];
+    if (current && current.updatedAt >= entry.updatedAt) continue;
+    state.pipeline[id] = entry;
+    changed += 1;
+  }
+  savePipeline();
+  return changed;
+}
+
+function getUniqueValues(key, features = state.data.features) {
   const values = new Set();
-  for (const feature of state.data.features) {
+  for (const feature of features) {
     const value = String(feature.properties[key] || '').trim();
     if (value) values.add(value);
   }
@@ -180,36 +951,207 @@ function fillFilter(selectEl, values) {
   }
 }
 
-function normalize(text) {
-  return String(text || '').toLowerCase();
+function facetValue(facet, p) {
+  const value = String(facet.value(p) ?? '').trim();
+  return value || FACET_EMPTY;
+}
+
+function facetOptions(facet) {
+  const values = new Set(state.data.features.map((feature) => facetValue(facet, feature.properties)));
+  if (facet.key === 'pipelineStatus') {
+    return [...PIPELINE_STATUSES.map((option) => option.label), PIPELINE_UNTRACKED].filter((label) => values.has(label));
+  }
+  return Array.from(values).sort((a, b) => {
+    if (a === FACET_EMPTY) return 1;
+    if (b === FACET_EMPTY) return -1;
+    return a.localeCompare(b, undefined, { numeric: true });
+  });
+}
+
+function buildFacetControls() {
+  facetList.innerHTML = FACETS.map(
+    (facet) => `
+      <details class="facet" data-facet="${facet.key}">
+        <summary><span class="facet-label">${facet.label}</span><span class="facet-summary"></span></summary>
+        <div class="facet-options"></div>
+      </details>
+    `,
+  ).join('');
+}
+
+function renderFacets() {
+  for (const facet of FACETS) {
+    const container = facetList.querySelector(`[data-facet="${facet.key}"]`);
+    if (!container) continue;
+
+    const counts = new Map();
+    for (const feature of state.data.features) {
+      if (!passesFilters(feature, { skipFacet: facet.key })) continue;
+      const value = facetValue(facet, feature.properties);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+
+    const selected = new Set(state[facet.key]);
+    container.querySelector('.facet-summary').textContent = selected.size
+      ? Array.from(selected).join(', ')
+      : 'Any';
+    container.classList.toggle('active', selected.size > 0);
+    container.querySelector('.facet-options').innerHTML = facetOptions(facet)
+      .map((value) => {
+        const count = counts.get(value) || 0;
+        const isChecked = selected.has(value);
+        return `
+          <label class="facet-option ${count || isChecked ? '' : 'empty'}">
+            <input type="checkbox" value="${value}" ${isChecked ? 'checked' : ''} />
+            <span>${value}</span>
+            <small>${count}</small>
+          </label>
+        `;
+      })
+      .join('');
+  }
+}
+
+function rangeDomain(range) {
+  const values = state.data.features
+    .map((feature) => metricsForFeature(feature)[range.metric])
+    .filter((value) => Number.isFinite(value));
+  if (!values.length) return null;
+  return [Math.min(...values), Math.max(...values)];
+}
+
+function stepToValue(domain, step) {
+  return domain[0] + ((domain[1] - domain[0]) * step) / RANGE_STEPS;
+}
+
+function valueToStep(domain, value) {
+  if (domain[1] === domain[0]) return 0;
+  return Math.round(((value - domain[0]) / (domain[1] - domain[0])) * RANGE_STEPS);
+}
+
+function buildRangeControls() {
+  for (const range of RANGE_FILTERS) {
+    range.domain = rangeDomain(range);
+    if (!range.domain) continue;
+
+    const details = document.createElement('details');
+    details.className = 'facet range-filter';
+    details.dataset.range = range.key;
+    details.innerHTML = `
+      <summary><span class="facet-label">${range.label}</span><span class="facet-summary"></span></summary>
+      <div class="range-body">
+        <svg class="histogram" viewBox="0 0 ${HISTOGRAM_BINS * 10} 32" preserveAspectRatio="none" aria-hidden="true"></svg>
+        <div class="dual-range">
+          <input type="range" data-bound="min" min="0" max="${RANGE_STEPS}" step="1" value="0" aria-label="${range.label} minimum" />
+          <input type="range" data-bound="max" min="0" max="${RANGE_STEPS}" step="1" value="${RANGE_STEPS}" aria-label="${range.label} maximum" />
+        </div>
+        <div class="range-labels"><span data-label="min"></span><span data-label="max"></span></div>
+      </div>
+    `;
+    facetList.appendChild(details);
+  }
+}
+
+function histogramBins(range, features) {
+  const [min, max] = range.domain;
+  const bins = new Array(HISTOGRAM_BINS).fill(0);
+  for (const feature of features) {
+    const value = metricsForFeature(feature)[range.metric];
+    if (!Number.isFinite(value)) continue;
+    const index = max === min ? 0 : Math.min(HISTOGRAM_BINS - 1, Math.floor(((value - min) / (max - min)) * HISTOGRAM_BINS));
+    bins[index] += 1;
+  }
+  return bins;
+}
+
+function renderRangeFilters() {
+  for (const range of RANGE_FILTERS) {
+    const container = facetList.querySelector(`[data-range="${range.key}"]`);
+    if (!container || !range.domain) continue;
+
+    const [lo, hi] = state[range.key] || range.domain;
+    const minInput = container.querySelector('[data-bound="min"]');
+    const maxInput = container.querySelector('[data-bound="max"]');
+    if (document.activeElement !== minInput) minInput.value = String(valueToStep(range.domain, lo));
+    if (document.activeElement !== maxInput) maxInput.value = String(valueToStep(range.domain, hi));
+
+    container.querySelector('[data-label="min"]').textContent = range.format(lo);
+    container.querySelector('[data-label="max"]').textContent = range.format(hi);
+    container.querySelector('.facet-summary').textContent = state[range.key]
+      ? `${range.format(lo)} – ${range.format(hi)}`
+      : 'Any';
+    container.classList.toggle('active', Boolean(state[range.key]));
+
+    const allBins = histogramBins(range, state.data.features);
+    const currentBins = histogramBins(
+      range,
+      state.data.features.filter((feature) => passesFilters(feature, { skipRange: range.key })),
+    );
+    const peak = Math.max(1, ...allBins);
+    const binWidth = (range.domain[1] - range.domain[0]) / HISTOGRAM_BINS;
+    container.querySelector('.histogram').innerHTML = allBins
+      .map((count, index) => {
+        const binStart = range.domain[0] + binWidth * index;
+        const inRange = binStart + binWidth >= lo && binStart <= hi;
+        const totalHeight = (count / peak) * 30;
+        const currentHeight = (currentBins[index] / peak) * 30;
+        return `
+          <rect class="bin-all" x="${index * 10 + 1}" y="${32 - totalHeight}" width="8" height="${totalHeight}" />
+          <rect class="bin-current ${inRange ? 'in-range' : ''}" x="${index * 10 + 1}" y="${32 - currentHeight}" width="8" height="${currentHeight}" />
+        `;
+      })
+      .join('');
+  }
 }
 
-function parseNumber(value) {
-  if (value == null) return null;
-  let clean = String(value).trim();
-  clean = clean.replace(/\s+/g, '');
-  clean = clean.replace(/,/g, '');
-  clean = clean.replace(/[^\d.-]/g, '');
-  if (!clean) return null;
-  const parsed = Number.parseFloat(clean);
-  return Number.isFinite(parsed) ? parsed : null;
+function readRangeInputs(container, range) {
+  const minStep = Number(container.querySelector('[data-bound="min"]').value);
+  const maxStep = Number(container.querySelector('[data-bound="max"]').value);
+  const lowStep = Math.min(minStep, maxStep);
+  const highStep = Math.max(minStep, maxStep);
+  if (lowStep === 0 && highStep === RANGE_STEPS) return null;
+  return [stepToValue(range.domain, lowStep), stepToValue(range.domain, highStep)];
 }
 
-function parseSizeNumber(value) {
-  if (value == null) return null;
-  const text = String(value).trim();
-  if (!text) return null;
+function syncSelect(selectEl, field) {
+  const exists = Array.from(selectEl.options).some((option) => option.value === state[field]);
+  if (!exists) state[field] = 'all';
+  selectEl.value = state[field];
+}
 
-  if (text.includes('+')) {
-    const parts = text
-      .split('+')
-      .map((part) => parseNumber(part))
-      .filter((part) => Number.isFinite(part));
-    if (!parts.length) return null;
-    return parts.reduce((sum, part) => sum + part, 0);
+function syncControlsFromState() {
+  searchInput.value = state.search;
+  for (const facet of FACETS) {
+    const known = new Set(facetOptions(facet));
+    state[facet.key] = state[facet.key].filter((value) => known.has(value));
   }
+  syncSelect(inventoryGradeFilter, 'inventoryGrade');
+  if (!COLOR_MODES.some((mode) => mode.key === state.colorBy)) state.colorBy = 'none';
+  colorBySelect.value = state.colorBy;
+  clusterLabelSelect.value = state.clusterLabel;
+  listSortSelect.value = state.listSort;
+  state.tableColumns = canonicalTableColumns(state.tableColumns.filter((key) => tableColumn(key)));
+  if (!tableColumn(state.tableSort.replace(/^-/, ''))) state.tableSort = '';
+  tablePageSize.value = String(state.tablePageSize);
+  reviewFilterSelect.value = state.reviewFilter;
+  renderColumnOptions();
+  chartScaleX.value = state.chartScaleX;
+  chartScaleY.value = state.chartScaleY;
+  sizeCutoffInput.value = Number.isFinite(state.sizeCutoff) ? String(state.sizeCutoff) : '';
+  syncScoreControls();
+  renderProximityControls();
+  renderAreaControls();
+  updateAreaLayer();
+  sizeByValueToggle.checked = state.sizeByValue;
+  inventoryToggle.checked = state.inventoryVisible;
+  inventoryGradeFilter.disabled = !state.inventoryVisible;
+  state.compareIds = state.compareIds.filter((id) => anyFeatureById(id));
+  renderCompareTray();
+  renderCompareView();
+}
 
-  return parseNumber(text);
+function normalize(text) {
+  return String(text || '').toLowerCase();
 }
 
 function formatCurrency(value) {
@@ -221,6 +1163,14 @@ function formatCurrency(value) {
   }).format(value);
 }
 
+function formatCompactCurrency(value) {
+  if (!Number.isFinite(value)) return 'N/A';
+  const abs = Math.abs(value);
+  if (abs >= 1000000) return `R${formatNumber(value / 1000000, 1)}M`;
+  if (abs >= 1000) return `R${formatNumber(value / 1000, 0)}k`;
+  return `R${formatNumber(value, 0)}`;
+}
+
 function formatNumber(value, digits = 0) {
   if (!Number.isFinite(value)) return 'N/A';
   return new Intl.NumberFormat('en-ZA', {
@@ -265,30 +1215,96 @@ function streetViewOpenUrl(lat, lon) {
   return `https://www.google.com/maps/@?${params.toString()}`;
 }
 
+function styledProperties(feature) {
+  const metrics = metricsForFeature(feature);
+  return {
+    ...feature.properties,
+    id: String(feature.properties.id),
+    metricValue: metrics.value,
+    metricMunicipalValue: metrics.municipalValue,
+    metricSize: metrics.size,
+    metricFootprintArea: footprintArea(feature),
+    metricPricePerM2: metrics.pricePerM2,
+    metricScore: scoreForFeature(feature).score,
+  };
+}
+
 function currentCollection() {
   return {
     type: 'FeatureCollection',
-    features: state.filteredFeatures,
+    features: state.filteredFeatures.map((feature) => ({
+      type: 'Feature',
+      geometry: feature.geometry,
+      properties: styledProperties(feature),
+    })),
   };
 }
 
-function applyFilters() {
+function footprintCollection() {
+  return {
+    type: 'FeatureCollection',
+    features: state.filteredFeatures
+      .filter((feature) => feature.footprint)
+      .map((feature) => ({
+        type: 'Feature',
+        geometry: feature.footprint,
+        properties: styledProperties(feature),
+      })),
+  };
+}
+
+function matchesSearch(p) {
   const search = normalize(state.search);
+  if (!search) return true;
+  const haystack = [p.name, p.address, p.significance, p.owner, p.usage, p.zoning, pipelineEntry(p.id)?.notes]
+    .map(normalize)
+    .join(' ');
 
-  state.filteredFeatures = state.data.features.filter((feature) => {
-    const p = feature.properties;
+  return haystack.includes(search);
+}
+
+function matchesRanges(feature, skipRange = null) {
+  for (const range of RANGE_FILTERS) {
+    if (range.key === skipRange || !state[range.key]) continue;
+    const [min, max] = state[range.key];
+    const value = metricsForFeature(feature)[range.metric];
+    // Compare with a small tolerance so slider rounding never drops the site sitting on a bound.
+    const tolerance = (max - min) * 1e-6 || 1e-6;
+    if (!Number.isFinite(value) || value < min - tolerance || value > max + tolerance) return false;
+  }
+  return true;
+}
+
+function matchesFacets(p, skipFacet = null) {
+  for (const facet of FACETS) {
+    if (facet.key === skipFacet) continue;
+    const selected = state[facet.key];
+    if (selected.length && !selected.includes(facetValue(facet, p))) return false;
+  }
+  return true;
+}
 
-    if (state.usage !== 'all' && p.usage !== state.usage) return false;
-    if (state.zoning !== 'all' && p.zoning !== state.zoning) return false;
-    if (state.heritageGrade !== 'all' && p.heritageCityGrade !== state.heritageGrade) return false;
+function matchesProximity(feature) {
+  if (!state.proximityCenter) return true;
+  return distanceMeters(state.proximityCenter, feature.geometry.coordinates) <= state.proximityRadius;
+}
 
-    if (!search) return true;
-    const haystack = [p.name, p.address, p.significance, p.owner, p.usage, p.zoning]
-      .map(normalize)
-      .join(' ');
+function matchesArea(feature) {
+  if (!state.areaRing) return true;
+  return polygonContainsPoint([state.areaRing], feature.geometry.coordinates);
+}
 
-    return haystack.includes(search);
-  });
+function passesFilters(feature, { skipFacet = null, skipRange = null } = {}) {
+  const p = feature.properties;
+  if (!matchesFacets(p, skipFacet)) return false;
+  if (!matchesRanges(feature, skipRange)) return false;
+  if (!matchesProximity(feature)) return false;
+  if (!matchesArea(feature)) return false;
+  return matchesSearch(p);
+}
+
+function applyFilters({ history = 'push' } = {}) {
+  state.filteredFeatures = state.data.features.filter((feature) => passesFilters(feature));
 
   const isSelectedVisible = state.filteredFeatures.some(
     (feature) => String(feature.properties.id) === String(state.selectedId),
@@ -296,75 +1312,500 @@ function applyFilters() {
   if (!isSelectedVisible) state.selectedId = null;
 
   updateSourceData();
+  renderFacets();
+  renderRangeFilters();
+  renderLegend();
   renderStats();
   renderList();
   syncDetailCard();
   renderTrends();
+  renderTable();
+  renderBoard();
+  renderReview();
+  writeUrlState(history);
 }
 
-function addDataLayers() {
-  if (!map.getSource('heritage')) {
-    map.addSource('heritage', {
-      type: 'geojson',
-      data: currentCollection(),
-      cluster: true,
-      clusterRadius: 46,
-      clusterMaxZoom: 14,
-    });
+function inventoryFilter() {
+  if (state.inventoryGrade === 'all') return null;
+  return ['==', ['get', 'heritageCityGrade'], state.inventoryGrade];
+}
+
+function updateInventoryLayers() {
+  const visibility = state.inventoryVisible ? 'visible' : 'none';
+  for (const layerId of ['inventory-fill', 'inventory-outline']) {
+    if (!map.getLayer(layerId)) continue;
+    map.setLayoutProperty(layerId, 'visibility', visibility);
+    map.setFilter(layerId, inventoryFilter());
   }
+}
 
-  if (!map.getLayer('clusters')) {
-    map.addLayer({
-      id: 'clusters',
-      type: 'circle',
-      source: 'heritage',
-      filter: ['has', 'point_count'],
-      paint: {
-        'circle-color': ['step', ['get', 'point_count'], '#f25734', 10, '#d94f30', 25, '#bc472c'],
-        'circle-radius': ['step', ['get', 'point_count'], 15, 10, 20, 25, 25],
-        'circle-stroke-width': 2,
-        'circle-stroke-color': '#111111',
-      },
-    });
+function activeColorMode() {
+  return COLOR_MODES.find((mode) => mode.key === state.colorBy) || COLOR_MODES[0];
+}
+
+function categoryColors(mode) {
+  if (!mode.categoryColors) {
+    const values = getUniqueValues(mode.property);
+    let paletteIndex = 0;
+    mode.categoryColors = new Map(
+      values.map((value) => {
+        const color = mode.colors?.[value] || CATEGORY_PALETTE[paletteIndex++ % CATEGORY_PALETTE.length];
+        return [value, color];
+      }),
+    );
   }
+  return mode.categoryColors;
+}
 
-  if (!map.getLayer('cluster-count')) {
-    map.addLayer({
-      id: 'cluster-count',
-      type: 'symbol',
-      source: 'heritage',
-      filter: ['has', 'point_count'],
-      layout: {
-        'text-field': ['get', 'point_count_abbreviated'],
-        'text-font': ['DIN Offc Pro Bold', 'Arial Unicode MS Bold'],
-        'text-size': 11,
-      },
-      paint: {
-        'text-color': '#111111',
-      },
+function rampStops(mode) {
+  const cacheKey = mode.cacheKey ? mode.cacheKey() : '';
+  if (!mode.rampStops || mode.rampCacheKey !== cacheKey) {
+    mode.rampCacheKey = cacheKey;
+    const values = state.data.features
+      .map(mode.read)
+      .filter((value) => Number.isFinite(value))
+      .sort((a, b) => a - b);
+    const stops = [];
+    RAMP_COLORS.forEach((color, index) => {
+      if (!values.length) return;
+      const value = values[Math.round((index / (RAMP_COLORS.length - 1)) * (values.length - 1))];
+      if (!stops.length || value > stops[stops.length - 2]) stops.push(value, color);
     });
+    mode.rampStops = stops;
   }
+  return mode.rampStops;
+}
 
-  if (!map.getLayer('points')) {
-    map.addLayer({
-      id: 'points',
-      type: 'circle',
-      source: 'heritage',
-      filter: ['!', ['has', 'point_count']],
-      paint: {
-        'circle-color': '#111111',
-        'circle-radius': 5.5,
-        'circle-stroke-width': 2,
-        'circle-stroke-color': '#f2f2f7',
-      },
-    });
+function colorExpression(mode = activeColorMode()) {
+  if (mode.type === 'category') {
+    const pairs = Array.from(categoryColors(mode)).flat();
+    if (!pairs.length) return NO_DATA_COLOR;
+    return ['match', ['to-string', ['get', mode.property]], ...pairs, NO_DATA_COLOR];
   }
 
-  if (!map.getLayer('selected-point')) {
-    map.addLayer({
-      id: 'selected-point',
-      type: 'circle',
-      source: 'heritage',
+  if (mode.type === 'ramp') {
+    const stops = rampStops(mode);
+    if (stops.length < 4) return stops[1] || NO_DATA_COLOR;
+    return [
+      'case',
+      ['==', ['typeof', ['get', mode.property]], 'number'],
+      ['interpolate', ['linear'], ['get', mode.property], ...stops],
+      NO_DATA_COLOR,
+    ];
+  }
+
+  return POINT_COLOR;
+}
+
+function radiusExpression() {
+  if (!state.sizeByValue) return 5.5;
+  const values = state.data.features
+    .map((feature) => metricsForFeature(feature).value)
+    .filter((value) => Number.isFinite(value) && value > 0);
+  if (!values.length) return 5.5;
+  const min = Math.sqrt(Math.min(...values));
+  const max = Math.sqrt(Math.max(...values));
+  if (max <= min) return 8;
+
+  return [
+    'case',
+    ['==', ['typeof', ['get', 'metricValue']], 'number'],
+    ['interpolate', ['linear'], ['sqrt', ['get', 'metricValue']], min, 4, max, 16],
+    4,
+  ];
+}
+
+function applyPointStyling() {
+  const mode = activeColorMode();
+  const color = colorExpression(mode);
+  const isColored = mode.key !== 'none';
+
+  if (map.getLayer('points')) {
+    map.setPaintProperty('points', 'circle-color', color);
+    map.setPaintProperty('points', 'circle-radius', radiusExpression());
+  }
+  if (map.getLayer('footprints-fill')) {
+    map.setPaintProperty('footprints-fill', 'fill-color', isColored ? color : POINT_COLOR);
+    map.setPaintProperty('footprints-fill', 'fill-opacity', isColored ? 0.4 : 0.12);
+  }
+  if (map.getLayer('footprints-outline')) {
+    map.setPaintProperty('footprints-outline', 'line-color', isColored ? color : POINT_COLOR);
+  }
+}
+
+function legendSwatch(color, label, count) {
+  return `<li><i style="background:${color}"></i><span>${label}</span>${count == null ? '' : `<small>${count}</small>`}</li>`;
+}
+
+function renderLegend() {
+  const mode = activeColorMode();
+  const parts = [];
+
+  if (mode.type === 'category') {
+    const counts = new Map();
+    for (const feature of state.filteredFeatures) {
+      const value = String(feature.properties[mode.property] ?? '').trim() || FACET_EMPTY;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    const colors = categoryColors(mode);
+    const entries = Array.from(counts).sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+    parts.push(
+      `<ul>${entries.map(([value, count]) => legendSwatch(colors.get(value) || NO_DATA_COLOR, value, count)).join('')}</ul>`,
+    );
+  } else if (mode.type === 'ramp') {
+    const stops = rampStops(mode);
+    const colors = stops.filter((_, index) => index % 2 === 1);
+    parts.push(`
+      <div class="legend-ramp" style="background:linear-gradient(90deg, ${colors.join(', ')})"></div>
+      <div class="range-labels"><span>${mode.format(stops[0])}</span><span>${mode.format(stops[stops.length - 2])}</span></div>
+      <ul>${legendSwatch(NO_DATA_COLOR, 'No data')}</ul>
+    `);
+  } else {
+    parts.push(`<ul>${legendSwatch(POINT_COLOR, 'Listed site', state.filteredFeatures.length)}</ul>`);
+  }
+
+  if (state.sizeByValue) {
+    parts.push('<p class="legend-note">Circle area scales with resolved value.</p>');
+  }
+
+  legendItems.innerHTML = parts.join('');
+}
+
+function numberOrZero(property) {
+  return ['case', ['==', ['typeof', ['get', property]], 'number'], ['get', property], 0];
+}
+
+function gradeRankExpression() {
+  return ['match', ['to-string', ['get', 'heritageCityGrade']], ...GRADE_ORDER.flatMap((grade, rank) => [grade, rank]), NO_GRADE_RANK];
+}
+
+function clusterLabelExpression() {
+  if (state.clusterLabel === 'value') {
+    return [
+      'concat',
+      'R',
+      ['number-format', ['/', ['get', 'totalValue'], 1000000], { 'max-fraction-digits': 1 }],
+      'M',
+    ];
+  }
+  if (state.clusterLabel === 'grade') {
+    return ['match', ['get', 'bestGradeRank'], ...GRADE_ORDER.flatMap((grade, rank) => [rank, grade]), '–'];
+  }
+  return ['get', 'point_count_abbreviated'];
+}
+
+function applyClusterLabels() {
+  if (map.getLayer('cluster-count')) {
+    map.setLayoutProperty('cluster-count', 'text-field', clusterLabelExpression());
+  }
+}
+
+function gradeForRank(rank) {
+  return GRADE_ORDER[rank] || 'N/A';
+}
+
+const clusterPopup = new mapboxgl.Popup({
+  className: 'inventory-popup cluster-popup',
+  closeButton: false,
+  closeOnClick: false,
+  maxWidth: '300px',
+});
+let hoveredClusterId = null;
+
+function showClusterPopup(feature) {
+  const clusterId = feature.properties.cluster_id;
+  if (clusterId === hoveredClusterId) return;
+  hoveredClusterId = clusterId;
+
+  const { point_count: count, totalValue, totalMunicipalValue, totalFootprint, bestGradeRank } = feature.properties;
+  map.getSource('heritage').getClusterLeaves(clusterId, count, 0, (error, leaves) => {
+    if (error || hoveredClusterId !== clusterId) return;
+    const sites = [...leaves]
+      .map((leaf) => leaf.properties)
+      .sort((a, b) => (b.metricValue || 0) - (a.metricValue || 0));
+
+    clusterPopup
+      .setLngLat(feature.geometry.coordinates)
+      .setHTML(`
+        <h4>${count} sites</h4>
+        <p class="popup-meta">Best grade ${gradeForRank(bestGradeRank)} · ${totalFootprint ? `${formatNumber(totalFootprint)} m2 matched footprint` : 'no matched footprints'}</p>
+        <dl>
+          <div><dt>Total Value</dt><dd>${formatCompactCurrency(totalValue)}</dd></div>
+          <div><dt>Municipal</dt><dd>${formatCompactCurrency(totalMunicipalValue)}</dd></div>
+        </dl>
+        <ul class="cluster-sites">
+          ${sites
+            .map(
+              (site) => `<li><span>${site.name || 'Unnamed site'}</span><small>${site.heritageCityGrade || '–'} · ${formatCompactCurrency(site.metricValue)}</small></li>`,
+            )
+            .join('')}
+        </ul>
+      `)
+      .addTo(map);
+  });
+}
+
+function hideClusterPopup() {
+  hoveredClusterId = null;
+  clusterPopup.remove();
+}
+
+function addDataLayers() {
+  if (state.inventory && !map.getSource('cbd-inventory')) {
+    map.addSource('cbd-inventory', {
+      type: 'geojson',
+      data: state.inventory,
+    });
+  }
+
+  if (map.getSource('cbd-inventory') && !map.getLayer('inventory-fill')) {
+    map.addLayer({
+      id: 'inventory-fill',
+      type: 'fill',
+      source: 'cbd-inventory',
+      minzoom: 13,
+      paint: {
+        'fill-color': ['case', ['get', 'inShortlist'], '#8e8e93', '#2c58d6'],
+        'fill-opacity': ['case', ['get', 'inShortlist'], 0.06, 0.14],
+      },
+    });
+  }
+
+  if (map.getSource('cbd-inventory') && !map.getLayer('inventory-outline')) {
+    map.addLayer({
+      id: 'inventory-outline',
+      type: 'line',
+      source: 'cbd-inventory',
+      minzoom: 13,
+      paint: {
+        'line-color': '#8e8e93',
+        'line-width': 0.8,
+        'line-opacity': 0.7,
+      },
+    });
+  }
+
+  if (!map.getSource('proximity')) {
+    map.addSource('proximity', {
+      type: 'geojson',
+      data: proximityCollection(),
+    });
+  }
+
+  if (!map.getLayer('proximity-fill')) {
+    map.addLayer({
+      id: 'proximity-fill',
+      type: 'fill',
+      source: 'proximity',
+      paint: {
+        'fill-color': ['match', ['get', 'kind'], 'search', '#2c58d6', '#f25734'],
+        'fill-opacity': 0.07,
+      },
+    });
+  }
+
+  if (!map.getLayer('proximity-outline')) {
+    map.addLayer({
+      id: 'proximity-outline',
+      type: 'line',
+      source: 'proximity',
+      paint: {
+        'line-color': ['match', ['get', 'kind'], 'search', '#2c58d6', '#f25734'],
+        'line-width': 2,
+        'line-dasharray': [2, 2],
+      },
+    });
+  }
+
+  if (!map.getSource('area')) {
+    map.addSource('area', {
+      type: 'geojson',
+      data: areaCollection(),
+    });
+  }
+
+  if (!map.getLayer('area-fill')) {
+    map.addLayer({
+      id: 'area-fill',
+      type: 'fill',
+      source: 'area',
+      filter: ['==', ['get', 'kind'], 'area'],
+      paint: {
+        'fill-color': '#7a3cc2',
+        'fill-opacity': 0.08,
+      },
+    });
+  }
+
+  if (!map.getLayer('area-outline')) {
+    map.addLayer({
+      id: 'area-outline',
+      type: 'line',
+      source: 'area',
+      filter: ['==', ['get', 'kind'], 'area'],
+      paint: {
+        'line-color': '#7a3cc2',
+        'line-width': 2,
+      },
+    });
+  }
+
+  if (!map.getLayer('area-sketch')) {
+    map.addLayer({
+      id: 'area-sketch',
+      type: 'line',
+      source: 'area',
+      filter: ['==', ['get', 'kind'], 'sketch'],
+      paint: {
+        'line-color': '#7a3cc2',
+        'line-width': 2,
+        'line-dasharray': [1, 1.5],
+      },
+    });
+  }
+
+  if (!map.getLayer('area-vertices')) {
+    map.addLayer({
+      id: 'area-vertices',
+      type: 'circle',
+      source: 'area',
+      filter: ['==', ['geometry-type'], 'Point'],
+      paint: {
+        'circle-radius': 4,
+        'circle-color': '#ffffff',
+        'circle-stroke-color': '#7a3cc2',
+        'circle-stroke-width': 2,
+      },
+    });
+  }
+
+  if (!map.getSource('heritage-footprints')) {
+    map.addSource('heritage-footprints', {
+      type: 'geojson',
+      data: footprintCollection(),
+    });
+  }
+
+  if (!map.getLayer('footprints-fill')) {
+    map.addLayer({
+      id: 'footprints-fill',
+      type: 'fill',
+      source: 'heritage-footprints',
+      minzoom: 14,
+      paint: {
+        'fill-color': '#111111',
+        'fill-opacity': 0.12,
+      },
+    });
+  }
+
+  if (!map.getLayer('footprints-outline')) {
+    map.addLayer({
+      id: 'footprints-outline',
+      type: 'line',
+      source: 'heritage-footprints',
+      minzoom: 14,
+      paint: {
+        'line-color': '#111111',
+        'line-width': 1.5,
+      },
+    });
+  }
+
+  if (!map.getLayer('selected-footprint-fill')) {
+    map.addLayer({
+      id: 'selected-footprint-fill',
+      type: 'fill',
+      source: 'heritage-footprints',
+      filter: ['==', ['get', 'id'], ''],
+      paint: {
+        'fill-color': '#f25734',
+        'fill-opacity': 0.45,
+      },
+    });
+  }
+
+  if (!map.getLayer('selected-footprint-outline')) {
+    map.addLayer({
+      id: 'selected-footprint-outline',
+      type: 'line',
+      source: 'heritage-footprints',
+      filter: ['==', ['get', 'id'], ''],
+      paint: {
+        'line-color': '#f25734',
+        'line-width': 3,
+      },
+    });
+  }
+
+  if (!map.getSource('heritage')) {
+    map.addSource('heritage', {
+      type: 'geojson',
+      data: currentCollection(),
+      cluster: true,
+      clusterRadius: 46,
+      clusterMaxZoom: 14,
+      clusterProperties: {
+        totalValue: ['+', numberOrZero('metricValue')],
+        totalMunicipalValue: ['+', numberOrZero('metricMunicipalValue')],
+        totalFootprint: ['+', numberOrZero('metricFootprintArea')],
+        bestGradeRank: ['min', gradeRankExpression()],
+      },
+    });
+  }
+
+  if (!map.getLayer('clusters')) {
+    map.addLayer({
+      id: 'clusters',
+      type: 'circle',
+      source: 'heritage',
+      filter: ['has', 'point_count'],
+      paint: {
+        'circle-color': ['step', ['get', 'point_count'], '#f25734', 10, '#d94f30', 25, '#bc472c'],
+        'circle-radius': ['step', ['get', 'point_count'], 15, 10, 20, 25, 25],
+        'circle-stroke-width': 2,
+        'circle-stroke-color': '#111111',
+      },
+    });
+  }
+
+  if (!map.getLayer('cluster-count')) {
+    map.addLayer({
+      id: 'cluster-count',
+      type: 'symbol',
+      source: 'heritage',
+      filter: ['has', 'point_count'],
+      layout: {
+        'text-field': clusterLabelExpression(),
+        'text-font': ['DIN Offc Pro Bold', 'Arial Unicode MS Bold'],
+        'text-size': 11,
+      },
+      paint: {
+        'text-color': '#111111',
+      },
+    });
+  }
+
+  if (!map.getLayer('points')) {
+    map.addLayer({
+      id: 'points',
+      type: 'circle',
+      source: 'heritage',
+      filter: ['!', ['has', 'point_count']],
+      paint: {
+        'circle-color': '#111111',
+        'circle-radius': 5.5,
+        'circle-stroke-width': 2,
+        'circle-stroke-color': '#f2f2f7',
+      },
+    });
+  }
+
+  if (!map.getLayer('selected-point')) {
+    map.addLayer({
+      id: 'selected-point',
+      type: 'circle',
+      source: 'heritage',
       filter: ['==', ['get', 'id'], ''],
       paint: {
         'circle-color': '#f25734',
@@ -376,10 +1817,12 @@ function addDataLayers() {
   }
 
   bindLayerInteractions();
+  updateInventoryLayers();
+  applyPointStyling();
   updateSelectedLayer();
 }
 
-function ensure3DContext() {
+function ensure3DContext({ animate = true } = {}) {
   if (!map.getSource('mapbox-dem')) {
     map.addSource('mapbox-dem', {
       type: 'raster-dem',
@@ -422,18 +1865,33 @@ function ensure3DContext() {
     );
   }
 
-  map.easeTo({ pitch: 58, bearing: -20, duration: 900 });
+  if (animate) map.easeTo({ pitch: 58, bearing: -20, duration: 900 });
 }
 
-function applyMapPresentation() {
+function applyMapPresentation({ animate = true } = {}) {
   if (state.styleKey === 'satellite3d') {
-    ensure3DContext();
+    ensure3DContext({ animate });
     return;
   }
 
   map.setTerrain(null);
   map.setFog(null);
-  map.easeTo({ pitch: 0, bearing: 0, duration: 600 });
+  if (animate) map.easeTo({ pitch: 0, bearing: 0, duration: 600 });
+}
+
+function setMapStyle(styleKey, { history = 'push', animate = true } = {}) {
+  if (!styles[styleKey] || styleKey === state.styleKey) return;
+  state.styleKey = styleKey;
+  updateStyleToggleLabel();
+
+  map.setStyle(styles[state.styleKey]);
+  map.once('style.load', () => {
+    addDataLayers();
+    applyMapPresentation({ animate });
+    updateSourceData();
+    updateSelectedLayer();
+  });
+  writeUrlState(history);
 }
 
 function updateStyleToggleLabel() {
@@ -449,7 +1907,26 @@ function bindLayerInteractions() {
   if (map.__heritageBound) return;
   map.__heritageBound = true;
 
+  map.on('click', (event) => {
+    const point = [event.lngLat.lng, event.lngLat.lat];
+    if (state.drawMode) addDrawPoint(point, event.point);
+    else if (state.proximityPicking) setProximityCenter(point);
+  });
+
+  map.on('dblclick', (event) => {
+    if (state.drawMode !== 'polygon') return;
+    event.preventDefault();
+    finishDrawing();
+  });
+
+  map.on('mousemove', (event) => {
+    if (!state.drawMode || !state.drawPoints.length) return;
+    state.drawHover = [event.lngLat.lng, event.lngLat.lat];
+    updateAreaLayer();
+  });
+
   map.on('click', 'clusters', (event) => {
+    if (mapClickCaptured()) return;
     const [feature] = map.queryRenderedFeatures(event.point, { layers: ['clusters'] });
     if (!feature) return;
 
@@ -461,89 +1938,489 @@ function bindLayerInteractions() {
   });
 
   map.on('click', 'points', (event) => {
+    if (mapClickCaptured()) return;
+    const feature = event.features?.[0];
+    if (!feature) return;
+    selectFeatureById(feature.properties.id, true);
+  });
+
+  map.on('click', 'footprints-fill', (event) => {
+    if (mapClickCaptured()) return;
+    if (map.queryRenderedFeatures(event.point, { layers: ['points', 'clusters'] }).length) return;
     const feature = event.features?.[0];
     if (!feature) return;
     selectFeatureById(feature.properties.id, true);
   });
 
-  for (const layerId of ['clusters', 'points']) {
+  map.on('click', 'inventory-fill', (event) => {
+    if (mapClickCaptured()) return;
+    const blocking = map.queryRenderedFeatures(event.point, { layers: ['points', 'clusters', 'footprints-fill'] });
+    if (blocking.length) return;
+    const feature = event.features?.[0];
+    if (!feature) return;
+    showInventoryPopup(feature, event.lngLat);
+  });
+
+  map.on('mousemove', 'clusters', (event) => {
+    const feature = event.features?.[0];
+    if (feature) showClusterPopup(feature);
+  });
+  map.on('mouseleave', 'clusters', hideClusterPopup);
+  map.on('zoomstart', hideClusterPopup);
+
+  for (const layerId of ['clusters', 'points', 'footprints-fill', 'inventory-fill']) {
     map.on('mouseenter', layerId, () => {
-      map.getCanvas().style.cursor = 'pointer';
-    });
-    map.on('mouseleave', layerId, () => {
-      map.getCanvas().style.cursor = '';
+      map.getCanvas().style.cursor = mapClickCaptured() ? 'crosshair' : 'pointer';
     });
+    map.on('mouseleave', layerId, syncMapCursor);
   }
 }
 
+function showInventoryPopup(feature, lngLat) {
+  const p = feature.properties;
+  const shortlistNote = p.inShortlist
+    ? `In shortlist (site ${p.shortlistIds})`
+    : 'Not in workbook shortlist';
+
+  new mapboxgl.Popup({ className: 'inventory-popup', maxWidth: '320px' })
+    .setLngLat(lngLat)
+    .setHTML(`
+      <h4>${p.heritageSiteName || p.heritageAddress || 'Inventory building'}</h4>
+      <p class="popup-meta">${shortlistNote}</p>
+      <dl>
+        <div><dt>City Grade</dt><dd>${p.heritageCityGrade || 'N/A'}</dd></div>
+        <div><dt>Category</dt><dd>${p.heritageResourceCategory || 'N/A'}</dd></div>
+        <div><dt>Type</dt><dd>${p.heritageTypePrimary || 'N/A'}</dd></div>
+        <div><dt>Parcel Key</dt><dd>${p.heritageParcelKey || 'N/A'}</dd></div>
+      </dl>
+      <p class="popup-statement">${p.heritageStatement || 'No statement of significance.'}</p>
+    `)
+    .addTo(map);
+}
+
 function updateSourceData() {
   const source = map.getSource('heritage');
-  if (!source) return;
-  source.setData(currentCollection());
+  if (source) source.setData(currentCollection());
+
+  const footprintSource = map.getSource('heritage-footprints');
+  if (footprintSource) footprintSource.setData(footprintCollection());
 }
 
 function renderStats() {
   const shown = state.filteredFeatures.length;
   const total = state.data.features.length;
-  const missingCoords = state.data.skippedRows || 0;
+  const unplaced = state.data.unplacedRows?.length ?? state.data.skippedRows ?? 0;
 
   stats.innerHTML = `
     <div class="stat-card"><small>Visible</small><strong>${shown}</strong></div>
     <div class="stat-card"><small>Total</small><strong>${total}</strong></div>
-    <div class="stat-card"><small>Missing GPS</small><strong>${missingCoords}</strong></div>
+    <div class="stat-card"><small>Unplaced</small><strong>${unplaced}</strong></div>
   `;
 }
 
+// Workbook rows the build could not put on the map; they never enter the filters, so this renders once.
+function renderUnplaced() {
+  const rows = state.data.unplacedRows || [];
+  const placed = state.data.placedFromFootprintRows || 0;
+  unplacedBlock.classList.toggle('hidden', !rows.length && !placed);
+  unplacedSummary.textContent = `${rows.length} ${rows.length === 1 ? 'row' : 'rows'} not on the map${placed ? `, ${placed} placed at their footprint` : ''}`;
+  unplacedList.innerHTML = rows
+    .map((row) => {
+      const [best] = row.candidates || [];
+      return `
+        <li>
+          <strong>#${row.id} ${row.name || 'Unnamed site'}</strong>
+          <span>${row.address || 'No address'}</span>
+          <small>${row.reason}</small>
+          ${best ? `<small>Closest guess: ${best.siteName || best.address} (${best.method}, ${formatNumber(best.score, 1)})</small>` : ''}
+        </li>
+      `;
+    })
+    .join('');
+}
+
+function listedFeatures() {
+  if (state.listSort !== 'score') return state.filteredFeatures;
+  return [...state.filteredFeatures].sort(
+    (a, b) => (scoreForFeature(b).score ?? -1) - (scoreForFeature(a).score ?? -1),
+  );
+}
+
 function renderList() {
   siteList.innerHTML = '';
 
-  for (const feature of state.filteredFeatures) {
+  for (const feature of listedFeatures()) {
     const item = document.createElement('li');
-    const isActive = String(feature.properties.id) === String(state.selectedId);
+    const id = String(feature.properties.id);
+    const isActive = id === String(state.selectedId);
+    const isCompared = state.compareIds.includes(id);
+    const status = pipelineStatusFor(id);
+    const { score } = scoreForFeature(feature);
     item.className = `site-item ${isActive ? 'active' : ''}`;
     item.innerHTML = `
       <button data-id="${feature.properties.id}">
         <strong>${feature.properties.name || 'Unnamed site'}</strong>
         <span>${feature.properties.address || 'No address'}</span>
+        ${Number.isFinite(score) ? `<em class="score-badge" title="Upgrade score">${formatNumber(score)}</em>` : ''}
+        ${status ? `<em class="status-badge status-${status.key}">${status.label}</em>` : ''}
+      </button>
+      <button class="compare-toggle ${isCompared ? 'on' : ''}" data-compare="${id}" title="${isCompared ? 'Remove from' : 'Add to'} comparison">
+        ${isCompared ? 'Comparing' : 'Compare'}
       </button>
     `;
     siteList.appendChild(item);
   }
 }
 
-function getMetricsRows() {
-  return state.filteredFeatures.map((feature) => {
-    const p = feature.properties;
-    const override = METRIC_OVERRIDES.get(keyForOverride(p.name, p.address));
-
-    const sizeFromData = parseSizeNumber(p.erfSize);
-    const municipalValue = parseNumber(p.cmaMunicipalValue2023);
-    const estValue = parseNumber(p.estValue);
-    const valueFromData = municipalValue ?? estValue;
+function anyFeatureById(id) {
+  return state.data.features.find((feature) => String(feature.properties.id) === String(id)) || null;
+}
 
-    const size = override?.size ?? sizeFromData;
-    const value = override?.value ?? valueFromData;
-    const rates = parseNumber(p.cmaRatesEstimate);
+function toggleCompare(id) {
+  const key = String(id);
+  if (state.compareIds.includes(key)) {
+    state.compareIds = state.compareIds.filter((entry) => entry !== key);
+  } else if (state.compareIds.length < COMPARE_MAX) {
+    state.compareIds = [...state.compareIds, key];
+  }
+  if (state.compareIds.length < COMPARE_MIN) state.compareOpen = false;
 
-    return {
-      id: p.id,
-      name: p.name || 'Unnamed site',
-      size,
-      value,
-      rates,
-      pricePerM2: Number.isFinite(size) && size > 0 && Number.isFinite(value) ? value / size : null,
-    };
-  });
+  renderList();
+  renderCompareTray();
+  renderCompareView();
+  syncDetailCard();
+  writeUrlState('push');
 }
 
-function renderTrendCards(rows) {
-  const sizedRows = rows.filter((row) => Number.isFinite(row.size) && row.size > 0 && row.size < 20000);
-  const usable = rows.filter(
-    (row) => Number.isFinite(row.size) && row.size > 0 && row.size < 20000 && Number.isFinite(row.value) && row.value > 0,
-  );
+function renderCompareTray() {
+  const sites = state.compareIds.map(anyFeatureById).filter(Boolean);
+  compareTray.classList.toggle('hidden', !sites.length);
+  if (!sites.length) {
+    compareTray.innerHTML = '';
+    return;
+  }
 
-  const totalValue = usable.reduce((acc, row) => acc + row.value, 0);
-  const totalFootprint = sizedRows.reduce((acc, row) => acc + row.size, 0);
+  compareTray.innerHTML = `
+    <div class="compare-chips">
+      ${sites
+        .map(
+          (feature) => `<button class="chip" data-compare="${feature.properties.id}" title="Remove">${feature.properties.name || 'Unnamed site'} ×</button>`,
+        )
+        .join('')}
+    </div>
+    <div class="compare-actions">
+      <small>${sites.length}/${COMPARE_MAX} sites</small>
+      <button class="text-btn" data-compare-action="clear">Clear</button>
+      <button class="pill-btn" data-compare-action="open" ${sites.length < COMPARE_MIN ? 'disabled' : ''}>Compare</button>
+    </div>
+  `;
+}
+
+function compareCellClass(values, index, better) {
+  const numbers = values.filter((value) => Number.isFinite(value));
+  if (numbers.length < 2 || !better) return '';
+  const max = Math.max(...numbers);
+  const min = Math.min(...numbers);
+  if (max === min || !Number.isFinite(values[index])) return '';
+  const best = better === 'high' ? max : min;
+  const worst = better === 'high' ? min : max;
+  if (values[index] === best) return 'best';
+  if (values[index] === worst) return 'worst';
+  return '';
+}
+
+function renderCompareView() {
+  const sites = state.compareIds.map(anyFeatureById).filter(Boolean);
+  const isOpen = state.compareOpen && sites.length >= COMPARE_MIN;
+  compareView.classList.toggle('hidden', !isOpen);
+  if (!isOpen) {
+    compareView.innerHTML = '';
+    return;
+  }
+
+  const columns = sites.map((feature) => ({ feature, p: feature.properties, metrics: metricsForFeature(feature) }));
+
+  const fieldRows = DETAIL_FIELDS.map((field) => {
+    const cells = columns.map(({ p, metrics }) => field.render(p, metrics));
+    const differs = new Set(cells.map((cell) => normalize(cell))).size > 1;
+    return `
+      <tr class="${differs ? 'diff' : ''}">
+        <th>${field.label}</th>
+        ${cells.map((cell) => `<td>${cell}</td>`).join('')}
+      </tr>
+    `;
+  }).join('');
+
+  const metricRows = COMPARE_METRICS.map((metric) => {
+    const values = columns.map(({ metrics }) => metrics[metric.key]);
+    const differs = new Set(values.map((value) => (Number.isFinite(value) ? value.toFixed(4) : 'n/a'))).size > 1;
+    return `
+      <tr class="metric-row ${differs ? 'diff' : ''}">
+        <th>${metric.label}</th>
+        ${values.map((value, index) => `<td class="${compareCellClass(values, index, metric.better)}">${metric.format(value)}</td>`).join('')}
+      </tr>
+    `;
+  }).join('');
+
+  const imageRow = columns
+    .map(({ feature, p }) => {
+      const [lon, lat] = feature.geometry.coordinates;
+      const image = streetViewStaticUrl(lat, lon);
+      return `
+        <td>
+          ${image ? `<img class="compare-thumb" src="${image}" alt="Street View of ${p.name || 'site'}" loading="lazy" referrerpolicy="no-referrer-when-downgrade" />` : '<p class="streetview-missing">No Street View</p>'}
+          <a class="streetview-link" href="${streetViewOpenUrl(lat, lon)}" target="_blank" rel="noreferrer">Street View</a>
+        </td>
+      `;
+    })
+    .join('');
+
+  compareView.innerHTML = `
+    <header class="compare-head">
+      <div>
+        <p class="kicker">Comparison</p>
+        <h2>${columns.length} sites side by side</h2>
+        <p class="compare-hint">Rows that differ are highlighted; for metrics the best and worst figures are marked.</p>
+      </div>
+      <button class="pill-btn ghost" data-compare-action="close">Close</button>
+    </header>
+    <div class="table-wrap">
+      <table class="compare-table">
+        <thead>
+          <tr>
+            <th></th>
+            ${columns
+              .map(
+                ({ p }) => `
+                  <th>
+                    <strong>${p.name || 'Unnamed site'}</strong>
+                    <span>${p.address || 'No address'}</span>
+                    <button class="text-btn" data-compare="${p.id}">Remove</button>
+                  </th>
+                `,
+              )
+              .join('')}
+          </tr>
+        </thead>
+        <tbody>
+          <tr class="image-row"><th>Facade</th>${imageRow}</tr>
+          ${metricRows}
+          ${fieldRows}
+          <tr class="statement-row">
+            <th>Heritage Statement</th>
+            ${columns.map(({ p }) => `<td>${p.heritageStatement || p.significance || 'No significance text available.'}</td>`).join('')}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function setCompareOpen(open) {
+  state.compareOpen = open && state.compareIds.length >= COMPARE_MIN;
+  renderCompareView();
+  writeUrlState('push');
+}
+
+function estimateRange(p) {
+  if (Number.isFinite(p.estValueMid)) {
+    return { low: p.estValueLow, high: p.estValueHigh, mid: p.estValueMid, irregular: Boolean(p.estValueIrregular) };
+  }
+  return parseValueRange(p.estValue);
+}
+
+function ratesFor(p) {
+  if (Number.isFinite(p.ratesAnnual)) {
+    return { amount: p.ratesAmount, period: p.ratesPeriod, periodAssumed: Boolean(p.ratesPeriodAssumed), annual: p.ratesAnnual };
+  }
+  return parseRates(p.cmaRatesEstimate);
+}
+
+function perM2(value, size) {
+  return Number.isFinite(size) && size > 0 && Number.isFinite(value) ? value / size : null;
+}
+
+const metricsCache = new WeakMap();
+
+function metricsForFeature(feature) {
+  if (metricsCache.has(feature)) return metricsCache.get(feature);
+
+  const p = feature.properties;
+  const override = METRIC_OVERRIDES.get(keyForOverride(p.name, p.address));
+
+  const sizeFromData = parseSizeNumber(p.erfSize);
+  const municipalValue = parseNumber(p.cmaMunicipalValue2023);
+  const estimate = estimateRange(p);
+
+  let valueSource = null;
+  if (Number.isFinite(override?.value)) valueSource = 'override';
+  else if (Number.isFinite(municipalValue)) valueSource = 'municipal';
+  else if (estimate) valueSource = 'estimate';
+
+  const size = override?.size ?? sizeFromData;
+  const value = override?.value ?? municipalValue ?? estimate?.mid ?? null;
+  const isEstimate = valueSource === 'estimate';
+  const valueLow = isEstimate ? estimate.low : value;
+  const valueHigh = isEstimate ? estimate.high : value;
+  const rates = ratesFor(p);
+  const ratesAnnual = rates ? rates.annual : null;
+
+  const row = {
+    id: p.id,
+    name: p.name || 'Unnamed site',
+    size,
+    value,
+    valueLow,
+    valueHigh,
+    valueSource,
+    hasValueBand: isEstimate && valueHigh > valueLow,
+    valueIrregular: isEstimate && Boolean(estimate.irregular),
+    rates: ratesAnnual,
+    ratesPeriod: rates ? rates.period : null,
+    municipalValue,
+    ratesToValue: Number.isFinite(ratesAnnual) && municipalValue > 0 ? ratesAnnual / municipalValue : null,
+    pricePerM2: perM2(value, size),
+    pricePerM2Low: perM2(valueLow, size),
+    pricePerM2High: perM2(valueHigh, size),
+  };
+
+  metricsCache.set(feature, row);
+  return row;
+}
+
+function getMetricsRows(features = state.filteredFeatures) {
+  return features.map(metricsForFeature);
+}
+
+function isPlausibleSize(size) {
+  return Number.isFinite(size) && size > 0 && size < state.sizeCutoff;
+}
+
+// Rows that count towards dashboard value totals: a plausible size and a positive value.
+function isUsableRow(row) {
+  return isPlausibleSize(row.size) && Number.isFinite(row.value) && row.value > 0;
+}
+
+function parseScoreWeights(value) {
+  const weights = { ...DEFAULT_SCORE_WEIGHTS };
+  for (const part of value.split('|')) {
+    const [key, raw] = part.split(':');
+    const weight = Number(raw);
+    if (key in weights && Number.isFinite(weight)) weights[key] = Math.min(Math.max(Math.round(weight), 0), SCORE_WEIGHT_MAX);
+  }
+  return canonicalScoreWeights(weights);
+}
+
+function formatScoreWeights(weights) {
+  return SCORE_FACTORS.map((factor) => `${factor.key}:${weights[factor.key]}`).join('|');
+}
+
+// Returns the shared default object when the weights match it, so the URL leaves default weights out.
+function canonicalScoreWeights(weights) {
+  return formatScoreWeights(weights) === formatScoreWeights(DEFAULT_SCORE_WEIGHTS) ? DEFAULT_SCORE_WEIGHTS : weights;
+}
+
+function percentileRank(sorted, value) {
+  if (!sorted.length) return null;
+  const below = sorted.filter((entry) => entry < value).length;
+  const equal = sorted.filter((entry) => entry === value).length;
+  return (below + equal / 2) / sorted.length;
+}
+
+let scoreBaseline = null;
+
+// Precinct-wide reference figures, taken over the whole dataset so scores do not shift with the filter.
+function getScoreBaseline() {
+  if (!scoreBaseline) {
+    const rows = getMetricsRows(state.data.features);
+    const finiteSorted = (key) =>
+      rows
+        .map((row) => row[key])
+        .filter((value) => Number.isFinite(value))
+        .sort((a, b) => a - b);
+    scoreBaseline = {
+      medianPricePerM2: median(finiteSorted('pricePerM2')),
+      sizes: finiteSorted('size'),
+      ratesToValue: finiteSorted('ratesToValue'),
+    };
+  }
+  return scoreBaseline;
+}
+
+function scoreFactors(feature) {
+  const p = feature.properties;
+  const metrics = metricsForFeature(feature);
+  const baseline = getScoreBaseline();
+
+  const gradeIndex = GRADE_ORDER.indexOf(String(p.heritageCityGrade ?? '').trim().toUpperCase());
+  const usage = USAGE_POTENTIAL[String(p.usage ?? '').trim()];
+  const zoning = ZONING_POTENTIAL[String(p.zoning ?? '').trim().toUpperCase()];
+  const useParts = [usage, zoning].filter((value) => value != null);
+  const priceRatio = baseline.medianPricePerM2 > 0 ? metrics.pricePerM2 / baseline.medianPricePerM2 : null;
+
+  return {
+    grade: gradeIndex >= 0 ? 1 - gradeIndex / (GRADE_ORDER.length - 1) : null,
+    // At the median scores 0.5; free scores 1; twice the median or more scores 0.
+    price: Number.isFinite(priceRatio) ? Math.min(Math.max(1 - priceRatio / 2, 0), 1) : null,
+    size: Number.isFinite(metrics.size) ? percentileRank(baseline.sizes, metrics.size) : null,
+    use: useParts.length ? useParts.reduce((sum, value) => sum + value, 0) / useParts.length : null,
+    rates: Number.isFinite(metrics.ratesToValue) ? 1 - percentileRank(baseline.ratesToValue, metrics.ratesToValue) : null,
+  };
+}
+
+let scoreCache = new WeakMap();
+let scoreCacheKey = '';
+
+function scoreForFeature(feature) {
+  const weightsKey = formatScoreWeights(state.scoreWeights);
+  if (weightsKey !== scoreCacheKey) {
+    scoreCache = new WeakMap();
+    scoreCacheKey = weightsKey;
+  }
+  if (scoreCache.has(feature)) return scoreCache.get(feature);
+
+  const factors = scoreFactors(feature);
+  let total = 0;
+  let weightSum = 0;
+  for (const factor of SCORE_FACTORS) {
+    const weight = state.scoreWeights[factor.key];
+    if (!weight || factors[factor.key] == null) continue;
+    total += factors[factor.key] * weight;
+    weightSum += weight;
+  }
+
+  const result = { factors, score: weightSum ? (total / weightSum) * 100 : null };
+  scoreCache.set(feature, result);
+  return result;
+}
+
+function scoreForId(id) {
+  const feature = anyFeatureById(id);
+  return feature ? scoreForFeature(feature).score : null;
+}
+
+function formatCurrencyRange(low, high) {
+  return `${formatCurrency(low)} – ${formatCurrency(high)}`;
+}
+
+function rangeNote(row, low, high) {
+  if (!row.hasValueBand) return '';
+  const warning = row.valueIrregular ? ' title="Source estimate has irregular digit grouping; check the workbook figure."' : '';
+  return `<small class="range-note${row.valueIrregular ? ' irregular' : ''}"${warning}>${formatCurrencyRange(low, high)}</small>`;
+}
+
+function renderTrendCards(rows) {
+  const sizedRows = rows.filter((row) => isPlausibleSize(row.size));
+  const usable = rows.filter(isUsableRow);
+
+  const totalValue = usable.reduce((acc, row) => acc + row.value, 0);
+  const totalValueLow = usable.reduce((acc, row) => acc + row.valueLow, 0);
+  const totalValueHigh = usable.reduce((acc, row) => acc + row.valueHigh, 0);
+  const banded = usable.filter((row) => row.hasValueBand).length;
+  const valueBand = banded
+    ? `<small>${formatCurrencyRange(totalValueLow, totalValueHigh)} · ${banded} estimate${banded === 1 ? '' : 's'}</small>`
+    : '';
+  const totalFootprint = sizedRows.reduce((acc, row) => acc + row.size, 0);
 
   const perM2 = usable.map((row) => row.pricePerM2).filter((value) => Number.isFinite(value));
   const avgPerM2 = perM2.length ? perM2.reduce((acc, value) => acc + value, 0) / perM2.length : null;
@@ -551,21 +2428,177 @@ function renderTrendCards(rows) {
   const rates = rows.map((row) => row.rates).filter((value) => Number.isFinite(value));
   const avgRates = rates.length ? rates.reduce((acc, value) => acc + value, 0) / rates.length : null;
 
+  const excludedNote = (count) => (count ? `<small>Excludes ${count} site${count === 1 ? '' : 's'} (see Size vs Value)</small>` : '');
+
   trendCards.innerHTML = `
-    <article class="trend-card"><p>Portfolio Value</p><strong>${formatCurrency(totalValue)}</strong></article>
-    <article class="trend-card"><p>Portfolio Footprint</p><strong>${formatNumber(totalFootprint)} m2</strong></article>
+    <article class="trend-card"><p>Portfolio Value</p><strong>${formatCurrency(totalValue)}</strong>${valueBand}${excludedNote(rows.length - usable.length)}</article>
+    <article class="trend-card"><p>Portfolio Footprint</p><strong>${formatNumber(totalFootprint)} m2</strong>${excludedNote(rows.length - sizedRows.length)}</article>
     <article class="trend-card"><p>Avg Value / m2</p><strong>${formatCurrency(avgPerM2)}</strong></article>
-    <article class="trend-card"><p>Avg Rates</p><strong>${formatCurrency(avgRates)}</strong></article>
+    <article class="trend-card"><p>Avg Rates / yr</p><strong>${formatCurrency(avgRates)}</strong></article>
   `;
 }
 
+let sizeValueScale = null;
+let chartBrush = null;
+
+function chartCoordinates(svg, event) {
+  const point = svg.createSVGPoint();
+  point.x = event.clientX;
+  point.y = event.clientY;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+}
+
+function clampToPlot({ x, y }) {
+  const { plot } = sizeValueScale;
+  return {
+    x: Math.min(Math.max(x, plot.left), plot.right),
+    y: Math.min(Math.max(y, plot.top), plot.bottom),
+  };
+}
+
+function startChartBrush(event) {
+  const svg = event.target.closest('svg');
+  if (!svg || !sizeValueScale || event.button !== 0 || event.target.closest('[data-site]')) return;
+  event.preventDefault();
+  svg.setPointerCapture(event.pointerId);
+  chartBrush = { svg, start: clampToPlot(chartCoordinates(svg, event)) };
+}
+
+function moveChartBrush(event) {
+  if (!chartBrush) return;
+  const end = clampToPlot(chartCoordinates(chartBrush.svg, event));
+  const rect = chartBrush.svg.querySelector('.brush');
+  rect.classList.remove('hidden');
+  rect.setAttribute('x', Math.min(chartBrush.start.x, end.x));
+  rect.setAttribute('y', Math.min(chartBrush.start.y, end.y));
+  rect.setAttribute('width', Math.abs(end.x - chartBrush.start.x));
+  rect.setAttribute('height', Math.abs(end.y - chartBrush.start.y));
+  chartBrush.end = end;
+}
+
+// A brushed box becomes the size and value range filters, so the rest of the app and the link follow it.
+function endChartBrush() {
+  if (!chartBrush) return;
+  const { start, end } = chartBrush;
+  chartBrush = null;
+  if (!end || Math.abs(end.x - start.x) < 6 || Math.abs(end.y - start.y) < 6) {
+    sizeValueChart.querySelector('.brush')?.classList.add('hidden');
+    return;
+  }
+
+  const { invertX, invertY } = sizeValueScale;
+  const sizes = [invertX(start.x), invertX(end.x)].map((value) => Math.max(0, value));
+  const values = [invertY(start.y), invertY(end.y)].map((value) => Math.max(0, value));
+  state.sizeRange = [Math.min(...sizes), Math.max(...sizes)];
+  state.valueRange = [Math.min(...values), Math.max(...values)];
+  applyFilters();
+}
+
+function niceStep(span, count) {
+  const raw = span / Math.max(count, 1);
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const residual = raw / magnitude;
+  return (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+}
+
+function linearTicks(min, max, count = 5) {
+  if (!(max > min)) return [min];
+  const step = niceStep(max - min, count);
+  const ticks = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) ticks.push(tick);
+  return ticks;
+}
+
+function logTicks(min, max) {
+  const ticks = [];
+  for (let exponent = Math.floor(Math.log10(min)); exponent <= Math.ceil(Math.log10(max)); exponent += 1) {
+    for (const multiple of [1, 2, 5]) {
+      const tick = multiple * 10 ** exponent;
+      if (tick >= min && tick <= max) ticks.push(tick);
+    }
+  }
+  if (ticks.length > 8) return ticks.filter((tick) => Number.isInteger(Math.log10(tick)));
+  return ticks.length >= 2 ? ticks : linearTicks(min, max);
+}
+
+// Maps data values onto a pixel span. Log scales work in log10 space, so fits and brushes use `transform`.
+function chartScale(kind, values, from, to) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const isLog = kind === 'log';
+  const domain = isLog ? [min / 1.25, max * 1.25] : [Math.max(0, min * 0.9), max * 1.08];
+  const transform = isLog ? Math.log10 : (value) => value;
+  const untransform = isLog ? (value) => 10 ** value : (value) => value;
+  const lo = transform(domain[0]);
+  const span = transform(domain[1]) - lo || 1;
+  const mapTransformed = (value) => from + ((value - lo) / span) * (to - from);
+
+  return {
+    domain,
+    transform,
+    untransform,
+    mapTransformed,
+    map: (value) => mapTransformed(transform(value)),
+    invert: (px) => untransform(lo + ((px - from) / (to - from)) * span),
+    ticks: () => (isLog ? logTicks(...domain) : linearTicks(...domain)),
+  };
+}
+
+// Least-squares line through [x, y] pairs, with R-squared and the residual standard deviation.
+function fitLine(pairs) {
+  const n = pairs.length;
+  if (n < 3) return null;
+  const meanX = pairs.reduce((acc, [x]) => acc + x, 0) / n;
+  const meanY = pairs.reduce((acc, [, y]) => acc + y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const [x, y] of pairs) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (!sxx || !syy) return null;
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const ssRes = pairs.reduce((acc, [x, y]) => acc + (y - (intercept + slope * x)) ** 2, 0);
+  return {
+    slope,
+    intercept,
+    predict: (x) => intercept + slope * x,
+    r2: 1 - ssRes / syy,
+    residualSd: Math.sqrt(ssRes / (n - 2)),
+  };
+}
+
+function exclusionReason(row) {
+  if (!Number.isFinite(row.size) || row.size <= 0) return 'No ERF size';
+  if (!isPlausibleSize(row.size)) return `${formatNumber(row.size)} m2, above the size cutoff`;
+  return 'No value';
+}
+
+function siteLinks(rows) {
+  return rows.map((row) => `<button class="site-link" data-site="${row.id}">${row.name}</button>`).join(', ');
+}
+
 function renderSizeValueChart(rows) {
-  const points = rows.filter(
-    (row) => Number.isFinite(row.size) && row.size > 0 && row.size < 20000 && Number.isFinite(row.value) && row.value > 0,
-  );
+  const points = rows.filter(isUsableRow);
+  const excluded = rows.filter((row) => !isUsableRow(row));
+  resetBrush.classList.toggle('hidden', !state.sizeRange && !state.valueRange);
+
+  const excludedBlock = excluded.length
+    ? `
+      <details class="excluded-list">
+        <summary>${excluded.length} site${excluded.length === 1 ? '' : 's'} excluded from the chart and value totals</summary>
+        <ul>${excluded.map((row) => `<li><button class="site-link" data-site="${row.id}">${row.name}</button> <small>${exclusionReason(row)}</small></li>`).join('')}</ul>
+      </details>
+    `
+    : '';
 
   if (!points.length) {
+    sizeValueScale = null;
     sizeValueChart.innerHTML = '<p class="empty">No size/value records in current filter.</p>';
+    chartNotes.innerHTML = excludedBlock;
     return;
   }
 
@@ -573,161 +2606,1550 @@ function renderSizeValueChart(rows) {
   const height = 360;
   const pad = { top: 32, right: 24, bottom: 58, left: 76 };
 
-  const maxX = Math.max(...points.map((p) => p.size));
-  const maxY = Math.max(...points.map((p) => p.value));
-  const minX = Math.min(...points.map((p) => p.size));
-  const minY = Math.min(...points.map((p) => p.value));
+  const xScale = chartScale(state.chartScaleX, points.map((p) => p.size), pad.left, width - pad.right);
+  const yScale = chartScale(
+    state.chartScaleY,
+    points.flatMap((p) => [p.valueLow, p.valueHigh]),
+    height - pad.bottom,
+    pad.top,
+  );
+  const x = xScale.map;
+  const y = yScale.map;
+  sizeValueScale = {
+    plot: { left: pad.left, right: width - pad.right, top: pad.top, bottom: height - pad.bottom },
+    invertX: xScale.invert,
+    invertY: yScale.invert,
+  };
+
+  // Fit in display space, so the line is straight on whichever axes are shown (log-log is a power law).
+  const fit = fitLine(points.map((point) => [xScale.transform(point.size), yScale.transform(point.value)]));
+  const pricing = new Map();
+  if (fit && fit.residualSd > 0) {
+    for (const point of points) {
+      const residual = yScale.transform(point.value) - fit.predict(xScale.transform(point.size));
+      if (Math.abs(residual) > PRICING_FLAG_SD * fit.residualSd) pricing.set(point, residual > 0 ? 'over' : 'under');
+    }
+  }
+
+  const gridPitch = 14;
+  const dotGrid = [];
+  for (let yy = pad.top; yy <= height - pad.bottom; yy += gridPitch) {
+    for (let xx = pad.left; xx <= width - pad.right; xx += gridPitch) {
+      dotGrid.push(`<circle class="bg-dot" cx="${xx}" cy="${yy}" r="1.4" />`);
+    }
+  }
+
+  const xTickLabels = xScale
+    .ticks()
+    .map((tick) => {
+      const xx = x(tick);
+      // Leave room for the axis title at the right-hand end.
+      if (xx > width - pad.right - 24) return '';
+      return `<line class="tick-mark" x1="${xx}" y1="${height - pad.bottom}" x2="${xx}" y2="${height - pad.bottom + 5}" /><text class="tick-label x-tick" x="${xx}" y="${height - 30}">${formatNumber(tick)}</text>`;
+    })
+    .join('');
+
+  const yTickLabels = yScale
+    .ticks()
+    .map((tick) => {
+      const yy = y(tick);
+      return `<line class="tick-mark" x1="${pad.left - 5}" y1="${yy}" x2="${pad.left}" y2="${yy}" /><text class="tick-label y-tick" x="${pad.left - 10}" y="${yy + 3}">${formatNumber(tick / 1000000, Number.isInteger(tick / 1000000) ? 0 : 1)}M</text>`;
+    })
+    .join('');
+
+  const trendLine = fit
+    ? (() => {
+        const [x1, x2] = xScale.domain.map(xScale.transform);
+        return `<line class="trend-line" clip-path="url(#plotClip)" x1="${xScale.mapTransformed(x1)}" y1="${yScale.mapTransformed(fit.predict(x1))}" x2="${xScale.mapTransformed(x2)}" y2="${yScale.mapTransformed(fit.predict(x2))}" />`;
+      })()
+    : '';
+
+  const errorBars = points
+    .filter((point) => point.hasValueBand)
+    .map((point) => {
+      const cx = x(point.size);
+      const y1 = y(point.valueLow);
+      const y2 = y(point.valueHigh);
+      return `<g class="error-bar"><line x1="${cx}" y1="${y1}" x2="${cx}" y2="${y2}" /><line x1="${cx - 5}" y1="${y1}" x2="${cx + 5}" y2="${y1}" /><line x1="${cx - 5}" y1="${y2}" x2="${cx + 5}" y2="${y2}" /></g>`;
+    })
+    .join('');
+
+  const pointMarks = points
+    .map((point) => {
+      const cx = x(point.size);
+      const cy = y(point.value);
+      const valueLabel = point.hasValueBand
+        ? `${formatCurrencyRange(point.valueLow, point.valueHigh)} (estimate)`
+        : formatCurrency(point.value);
+      const flag = pricing.get(point);
+      const flagLabel = flag ? ` | ${flag === 'over' ? 'above' : 'below'} trend` : '';
+      return `<g class="chart-point" data-site="${point.id}"><circle class="halo" cx="${cx}" cy="${cy}" r="12"></circle><circle class="point ${point.hasValueBand ? 'estimate' : ''} ${flag || ''}" cx="${cx}" cy="${cy}" r="6"></circle><title>${point.name}: ${formatNumber(point.size)} m2 | ${valueLabel}${flagLabel}</title></g>`;
+    })
+    .join('');
+
+  sizeValueChart.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" aria-label="ERF size and value chart">
+      <defs><clipPath id="plotClip"><rect x="${pad.left}" y="${pad.top}" width="${width - pad.left - pad.right}" height="${height - pad.top - pad.bottom}" /></clipPath></defs>
+      ${dotGrid.join('')}
+      <line class="axis-line" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" />
+      <line class="axis-line" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" />
+      ${xTickLabels}
+      ${yTickLabels}
+      ${trendLine}
+      ${errorBars}
+      ${pointMarks}
+      <rect class="brush hidden" x="0" y="0" width="0" height="0" />
+      <text class="axis-label" x="${pad.left}" y="${pad.top - 14}">VALUE (ZAR${state.chartScaleY === 'log' ? ', LOG' : ''})</text>
+      <text class="axis-label x-axis-label" x="${width - pad.right}" y="${height - 12}">ERF SIZE (M2${state.chartScaleX === 'log' ? ', LOG' : ''})</text>
+    </svg>
+  `;
+
+  const flagged = (kind) => points.filter((point) => pricing.get(point) === kind);
+  const over = flagged('over');
+  const under = flagged('under');
+  chartNotes.innerHTML = `
+    <p>
+      ${fit ? `Trend line R² ${formatNumber(fit.r2, 2)} across ${points.length} sites. More than ${PRICING_FLAG_SD}σ above the line is flagged over-priced; below it, under-priced.` : 'Too few sites to fit a trend line.'}
+    </p>
+    ${over.length ? `<p><span class="flag over">Over-priced</span> ${siteLinks(over)}</p>` : ''}
+    ${under.length ? `<p><span class="flag under">Under-priced</span> ${siteLinks(under)}</p>` : ''}
+    ${excludedBlock}
+  `;
+}
+
+function renderPricingTable(rows) {
+  const ranked = rows
+    .filter((row) => Number.isFinite(row.pricePerM2))
+    .sort((a, b) => b.pricePerM2 - a.pricePerM2)
+    .slice(0, 10);
+
+  if (!ranked.length) {
+    pricingTableBody.innerHTML = '<tr><td colspan="4">No pricing data in current filter.</td></tr>';
+    return;
+  }
+
+  pricingTableBody.innerHTML = ranked
+    .map(
+      (row) => `
+        <tr class="site-row" data-site="${row.id}">
+          <td>${row.name}</td>
+          <td>${formatNumber(row.size)}</td>
+          <td>${formatCurrency(row.value)}${rangeNote(row, row.valueLow, row.valueHigh)}</td>
+          <td>${formatCurrency(row.pricePerM2)}${rangeNote(row, row.pricePerM2Low, row.pricePerM2High)}</td>
+        </tr>
+      `,
+    )
+    .join('');
+}
+
+function readScenario() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SCENARIO_STORAGE_KEY) || 'null');
+    const assumptions = { ...SCENARIO_DEFAULTS };
+    for (const field of SCENARIO_FIELDS) {
+      const value = Number(stored?.assumptions?.[field.key]);
+      if (Number.isFinite(value) && value >= 0) assumptions[field.key] = value;
+    }
+    const prices = {};
+    for (const [id, value] of Object.entries(stored?.prices || {})) {
+      if (Number.isFinite(value) && value >= 0) prices[id] = value;
+    }
+    state.scenario = assumptions;
+    state.scenarioPrices = prices;
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+function saveScenario() {
+  try {
+    window.localStorage.setItem(
+      SCENARIO_STORAGE_KEY,
+      JSON.stringify({ version: 1, assumptions: state.scenario, prices: state.scenarioPrices }),
+    );
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+// Takes a row from getMetricsRows(); returns null when the site has no usable size.
+function scenarioForRow(row) {
+  if (!(row.size > 0)) return null;
+  const { refurbPerM2, rentPerM2, vacancy, capRate } = state.scenario;
+  const customPrice = state.scenarioPrices[String(row.id)];
+  const price = customPrice ?? row.value;
+  const refurb = refurbPerM2 * row.size;
+  const totalCost = Number.isFinite(price) ? price + refurb : null;
+  const grossRent = rentPerM2 * row.size * 12;
+  const effectiveRent = grossRent * (1 - Math.min(vacancy, 100) / 100);
+  const rates = Number.isFinite(row.rates) ? row.rates : 0;
+  const noi = effectiveRent - rates;
+  const postValue = capRate > 0 ? noi / (capRate / 100) : null;
+
+  return {
+    price,
+    customPrice: customPrice != null,
+    refurb,
+    totalCost,
+    grossRent,
+    rates,
+    noi,
+    yieldOnCost: totalCost > 0 ? noi / totalCost : null,
+    postValue,
+    uplift: Number.isFinite(postValue) && Number.isFinite(totalCost) ? postValue - totalCost : null,
+    paybackYears: noi > 0 && Number.isFinite(totalCost) ? totalCost / noi : null,
+  };
+}
+
+function formatYears(value) {
+  return Number.isFinite(value) ? `${formatNumber(value, 1)} yrs` : 'N/A';
+}
+
+function formatSignedCurrency(value, format = formatCurrency) {
+  if (!Number.isFinite(value)) return 'N/A';
+  return `${value < 0 ? '-' : '+'}${format(Math.abs(value))}`;
+}
+
+function scenarioAssumptionInputs() {
+  return SCENARIO_FIELDS.map(
+    (field) => `
+      <label class="field">
+        <span>${field.label}</span>
+        <input type="number" min="0" ${field.max ? `max="${field.max}"` : ''} step="${field.step}" data-scenario="${field.key}" value="${state.scenario[field.key]}" />
+      </label>
+    `,
+  ).join('');
+}
+
+function scenarioResults(scenario) {
+  if (!scenario) return '<div><dt>Scenario</dt><dd>No resolved ERF size for this site.</dd></div>';
+  return `
+    <div><dt>Refurb Cost</dt><dd>${formatCurrency(scenario.refurb)}</dd></div>
+    <div><dt>Total Cost</dt><dd>${formatCurrency(scenario.totalCost)}</dd></div>
+    <div><dt>Gross Rent / yr</dt><dd>${formatCurrency(scenario.grossRent)}</dd></div>
+    <div><dt>NOI / yr</dt><dd>${formatCurrency(scenario.noi)}${scenario.rates ? ' <small>(after rates)</small>' : ''}</dd></div>
+    <div><dt>Yield on Cost</dt><dd>${formatPercent(scenario.yieldOnCost)}</dd></div>
+    <div><dt>Post-upgrade Value</dt><dd>${formatCurrency(scenario.postValue)}</dd></div>
+    <div><dt>Value Uplift</dt><dd>${formatSignedCurrency(scenario.uplift)}</dd></div>
+    <div><dt>Payback</dt><dd>${formatYears(scenario.paybackYears)}</dd></div>
+  `;
+}
+
+function renderPortfolioScenario(rows) {
+  const modelled = rows
+    .map((row) => ({ row, scenario: scenarioForRow(row) }))
+    .filter(({ scenario }) => scenario && Number.isFinite(scenario.totalCost));
+  const sum = (key) => modelled.reduce((acc, { scenario }) => acc + (scenario[key] ?? 0), 0);
+  const totalCost = sum('totalCost');
+  const noi = sum('noi');
+  const postValue = sum('postValue');
+  const customPrices = modelled.filter(({ scenario }) => scenario.customPrice).length;
+
+  portfolioSummary.innerHTML = `
+    <article class="trend-card"><p>Sites Modelled</p><strong>${modelled.length}</strong><small>of ${rows.length} in filter${customPrices ? ` · ${customPrices} custom price${customPrices === 1 ? '' : 's'}` : ''}</small></article>
+    <article class="trend-card"><p>Total Cost</p><strong>${formatCompactCurrency(totalCost)}</strong><small>Acquisition ${formatCompactCurrency(sum('price'))} + refurb ${formatCompactCurrency(sum('refurb'))}</small></article>
+    <article class="trend-card"><p>NOI / yr</p><strong>${formatCompactCurrency(noi)}</strong><small>Yield on cost ${formatPercent(totalCost > 0 ? noi / totalCost : null)}</small></article>
+    <article class="trend-card"><p>Post-upgrade Value</p><strong>${formatCompactCurrency(postValue)}</strong><small>Uplift ${formatSignedCurrency(modelled.length ? postValue - totalCost : null, formatCompactCurrency)} · payback ${formatYears(noi > 0 ? totalCost / noi : null)}</small></article>
+  `;
+
+  if (!modelled.length) {
+    portfolioTableBody.innerHTML = '<tr><td colspan="6">No sites with both a size and a price in current filter.</td></tr>';
+    return;
+  }
+
+  portfolioTableBody.innerHTML = modelled
+    .sort((a, b) => (b.scenario.yieldOnCost ?? -Infinity) - (a.scenario.yieldOnCost ?? -Infinity))
+    .map(
+      ({ row, scenario }) => `
+        <tr class="site-row" data-site="${row.id}">
+          <td>${row.name}${scenario.customPrice ? ' <span class="flag">custom price</span>' : ''}</td>
+          <td>${formatCurrency(scenario.totalCost)}</td>
+          <td>${formatCurrency(scenario.noi)}</td>
+          <td>${formatPercent(scenario.yieldOnCost)}</td>
+          <td>${formatCurrency(scenario.postValue)}</td>
+          <td>${formatYears(scenario.paybackYears)}</td>
+        </tr>
+      `,
+    )
+    .join('');
+}
+
+// Re-renders scenario outputs in place so inputs keep focus while typing.
+function refreshScenarioViews() {
+  for (const input of document.querySelectorAll('input[data-scenario]')) {
+    if (input !== document.activeElement) input.value = String(state.scenario[input.dataset.scenario]);
+  }
+  const results = detailCard.querySelector('[data-scenario-results]');
+  const feature = results ? anyFeatureById(results.dataset.scenarioResults) : null;
+  if (feature) results.innerHTML = scenarioResults(scenarioForRow(metricsForFeature(feature)));
+  renderPortfolioScenario(getMetricsRows());
+}
+
+function handleScenarioInput(event) {
+  const input = event.target.closest('input[data-scenario], input[data-scenario-price]');
+  if (!input) return;
+  const value = input.value.trim() === '' ? null : Number(input.value);
+
+  if (input.dataset.scenarioPrice) {
+    const id = input.dataset.scenarioPrice;
+    if (value == null) delete state.scenarioPrices[id];
+    else if (Number.isFinite(value) && value >= 0) state.scenarioPrices[id] = value;
+    else return;
+  } else {
+    if (!Number.isFinite(value) || value < 0) return;
+    state.scenario[input.dataset.scenario] = value;
+  }
+
+  saveScenario();
+  refreshScenarioViews();
+}
+
+function renderScoreTable() {
+  const ranked = state.filteredFeatures
+    .map((feature) => ({ feature, ...scoreForFeature(feature) }))
+    .filter((row) => Number.isFinite(row.score))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 10);
+
+  if (!ranked.length) {
+    scoreTableBody.innerHTML = '<tr><td colspan="4">No sites can be scored with the current weights.</td></tr>';
+    return;
+  }
 
-  const xMin = Math.max(0, minX * 0.9);
-  const xMax = maxX * 1.08;
-  const yMin = Math.max(0, minY * 0.9);
-  const yMax = maxY * 1.08;
+  scoreTableBody.innerHTML = ranked
+    .map(
+      ({ feature, factors, score }, index) => `
+        <tr class="site-row" data-site="${feature.properties.id}">
+          <td>${index + 1}</td>
+          <td>${feature.properties.name || 'Unnamed site'}</td>
+          <td><strong>${formatNumber(score)}</strong></td>
+          <td>
+            <div class="score-bars">
+              ${SCORE_FACTORS.map((factor) => {
+                const value = factors[factor.key];
+                const muted = !state.scoreWeights[factor.key] || value == null;
+                return `<span class="score-bar ${muted ? 'muted' : ''}" title="${factor.label}: ${value == null ? 'no data' : formatNumber(value * 100)}"><i style="height:${Math.round((value ?? 0) * 100)}%"></i></span>`;
+              }).join('')}
+            </div>
+          </td>
+        </tr>
+      `,
+    )
+    .join('');
+}
+
+function buildScoreControls() {
+  scoreWeights.innerHTML = SCORE_FACTORS.map(
+    (factor) => `
+      <label class="score-weight" title="${factor.hint}">
+        <span>${factor.label}</span>
+        <input type="range" min="0" max="${SCORE_WEIGHT_MAX}" step="1" data-weight="${factor.key}" />
+        <output></output>
+      </label>
+    `,
+  ).join('');
+  renderScorePresets();
+}
+
+function readScorePresets() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SCORE_PRESET_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter((preset) => preset?.name && preset.weights) : [];
+  } catch (error) {
+    console.warn(error);
+    return [];
+  }
+}
+
+function writeScorePresets(presets) {
+  try {
+    window.localStorage.setItem(SCORE_PRESET_STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+function allScorePresets() {
+  return [
+    ...SCORE_PRESETS.map((preset) => ({ ...preset, builtIn: true })),
+    ...readScorePresets().map((preset) => ({
+      key: `custom:${preset.name}`,
+      label: preset.name,
+      weights: parseScoreWeights(formatScoreWeights({ ...DEFAULT_SCORE_WEIGHTS, ...preset.weights })),
+    })),
+  ];
+}
+
+function renderScorePresets() {
+  const weightsKey = formatScoreWeights(state.scoreWeights);
+  const presets = allScorePresets();
+  const active = presets.find((preset) => formatScoreWeights(preset.weights) === weightsKey);
+  scorePresetSelect.innerHTML = active ? '' : '<option value="">Custom weights</option>';
+  for (const preset of presets) {
+    const option = document.createElement('option');
+    option.value = preset.key;
+    option.textContent = preset.label;
+    scorePresetSelect.appendChild(option);
+  }
+  scorePresetSelect.value = active?.key || '';
+  deleteScorePreset.disabled = !active || Boolean(active.builtIn);
+}
+
+function syncScoreControls() {
+  for (const input of scoreWeights.querySelectorAll('input[data-weight]')) {
+    const weight = state.scoreWeights[input.dataset.weight];
+    input.value = String(weight);
+    input.nextElementSibling.textContent = String(weight);
+  }
+  renderScorePresets();
+}
+
+function setScoreWeights(weights, { history = 'push' } = {}) {
+  state.scoreWeights = canonicalScoreWeights(weights);
+  syncScoreControls();
+  applyPointStyling();
+  applyFilters({ history });
+}
+
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+}
+
+// "121 Long St" -> "Long Street". Corner sites ("113 Long & Church") count towards the first street named.
+function streetFromAddress(address) {
+  const first = String(address || '')
+    .split(',')[0]
+    .split(/\s+(?:&|and)\s+/i)[0]
+    .replace(/^(?:cnr|corner)\.?\s+(?:of\s+)?/i, '')
+    .replace(/^\d+[a-z]?(?:\s*[-–/]\s*\d+[a-z]?)*\s+/i, '')
+    .trim();
+  const words = first.split(/\s+/).filter(Boolean);
+  if (!words.length || /^\d/.test(words[0])) return null;
+
+  const suffixIndex = words.findIndex((word, index) => index > 0 && STREET_SUFFIXES[word.toLowerCase().replace(/\.$/, '')]);
+  if (suffixIndex === -1) return `${titleCase(words.join(' '))} Street`;
+  const suffix = STREET_SUFFIXES[words[suffixIndex].toLowerCase().replace(/\.$/, '')];
+  return `${titleCase(words.slice(0, suffixIndex).join(' '))} ${suffix}`;
+}
+
+function breakdownRows(breakdown) {
+  const groups = new Map();
+  for (const feature of state.filteredFeatures) {
+    const category = String(breakdown.value(feature.properties) ?? '').trim() || FACET_EMPTY;
+    const row = metricsForFeature(feature);
+    const group = groups.get(category) || { category, sites: 0, value: 0, estimatedValue: 0, footprint: 0, perM2: [] };
+    group.sites += 1;
+    if (isPlausibleSize(row.size)) group.footprint += row.size;
+    if (isUsableRow(row)) {
+      group.value += row.value;
+      if (row.valueSource === 'estimate') group.estimatedValue += row.value;
+      if (Number.isFinite(row.pricePerM2)) group.perM2.push(row.pricePerM2);
+    }
+    groups.set(category, group);
+  }
+
+  const rank = (category) => {
+    if (category === FACET_EMPTY) return Infinity;
+    const index = breakdown.order ? breakdown.order.indexOf(category) : -1;
+    return index === -1 ? breakdown.order?.length ?? 0 : index;
+  };
+
+  return Array.from(groups.values())
+    .sort((a, b) => rank(a.category) - rank(b.category) || b.value - a.value || b.sites - a.sites)
+    .map(({ perM2: values, ...group }) => ({ ...group, medianPerM2: median(values) }));
+}
+
+function breakdownBar(width, className = '') {
+  return `<span class="bar ${className}" style="width:${Math.max(width * 100, 0).toFixed(1)}%"></span>`;
+}
+
+function renderBreakdowns() {
+  breakdownPanels.innerHTML = BREAKDOWNS.map((breakdown) => {
+    const rows = breakdownRows(breakdown);
+    const maxValue = Math.max(0, ...rows.map((row) => row.value));
+    const maxFootprint = Math.max(0, ...rows.map((row) => row.footprint));
+    const body = rows.length
+      ? rows
+          .map(
+            (row) => `
+              <tr>
+                <td>${row.category}</td>
+                <td>${row.sites}</td>
+                <td>
+                  <div class="bar-track" title="${row.estimatedValue ? `${formatCurrency(row.estimatedValue)} from estimates` : ''}">
+                    ${breakdownBar(maxValue ? (row.value - row.estimatedValue) / maxValue : 0)}
+                    ${breakdownBar(maxValue ? row.estimatedValue / maxValue : 0, 'estimate')}
+                  </div>
+                  <small>${formatCompactCurrency(row.value)}</small>
+                </td>
+                <td>
+                  <div class="bar-track">${breakdownBar(maxFootprint ? row.footprint / maxFootprint : 0, 'footprint')}</div>
+                  <small>${formatNumber(row.footprint)} m2</small>
+                </td>
+                <td>${formatCurrency(row.medianPerM2)}</td>
+              </tr>
+            `,
+          )
+          .join('')
+      : '<tr><td colspan="5">No sites in current filter.</td></tr>';
+
+    return `
+      <section class="trend-panel breakdown-panel">
+        <header>
+          <h3>By ${breakdown.label}</h3>
+          <p>Value (hatched share from estimates), footprint and median value/m2. <button class="text-btn" data-breakdown-export="${breakdown.key}">CSV</button></p>
+        </header>
+        <div class="table-wrap">
+          <table class="breakdown-table">
+            <thead>
+              <tr>
+                <th>${breakdown.label}</th>
+                <th>Sites</th>
+                <th>Value</th>
+                <th>Footprint</th>
+                <th>Median Value/m2</th>
+              </tr>
+            </thead>
+            <tbody>${body}</tbody>
+          </table>
+        </div>
+      </section>
+    `;
+  }).join('');
+}
+
+function exportBreakdown(key) {
+  const breakdown = BREAKDOWNS.find((entry) => entry.key === key);
+  if (!breakdown) return;
+  const records = breakdownRows(breakdown).map((row) => ({
+    [breakdown.label]: row.category,
+    sites: row.sites,
+    totalValue: roundOrNull(row.value, 0),
+    estimatedValue: roundOrNull(row.estimatedValue, 0),
+    footprintM2: roundOrNull(row.footprint),
+    medianValuePerM2: roundOrNull(row.medianPerM2),
+  }));
+  downloadBlob(new Blob(['\ufeff', toCsv(records)], { type: 'text/csv;charset=utf-8' }), exportFilename('csv', `${key}-breakdown`));
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatPercent(value, digits = 2) {
+  if (!Number.isFinite(value)) return 'N/A';
+  return `${formatNumber(value * 100, digits)}%`;
+}
+
+function ratesBurdenRows(rows) {
+  const ratioRows = rows.filter((row) => Number.isFinite(row.ratesToValue));
+  const medianRatio = median(ratioRows.map((row) => row.ratesToValue));
+
+  return ratioRows
+    .map((row) => {
+      const deviation = medianRatio ? row.ratesToValue / medianRatio - 1 : null;
+      return { ...row, deviation, isOutlier: Math.abs(deviation) > RATES_OUTLIER_TOLERANCE };
+    })
+    .sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation));
+}
+
+function renderRatesTable(rows) {
+  const ranked = ratesBurdenRows(rows);
+
+  if (!ranked.length) {
+    ratesTableBody.innerHTML = '<tr><td colspan="5">No rates with a municipal value in current filter.</td></tr>';
+    return;
+  }
+
+  ratesTableBody.innerHTML = ranked
+    .map(
+      (row) => `
+        <tr class="site-row ${row.isOutlier ? 'outlier' : ''}" data-site="${row.id}">
+          <td>${row.name}</td>
+          <td>${formatCurrency(row.rates)}</td>
+          <td>${formatCurrency(row.municipalValue)}</td>
+          <td>${formatPercent(row.ratesToValue, 3)}</td>
+          <td>${row.deviation > 0 ? '+' : ''}${formatPercent(row.deviation, 1)}${row.isOutlier ? ' <span class="flag">Outlier</span>' : ''}</td>
+        </tr>
+      `,
+    )
+    .join('');
+}
+
+function renderTrends() {
+  const rows = getMetricsRows();
+  renderTrendCards(rows);
+  renderSizeValueChart(rows);
+  renderBreakdowns();
+  renderRatesTable(rows);
+  renderPortfolioScenario(rows);
+  renderScoreTable();
+  renderPricingTable(rows);
+  highlightTrendSelection();
+}
+
+// Marks the selected site in every dashboard chart and table without re-rendering them.
+function highlightTrendSelection() {
+  const id = state.selectedId == null ? null : String(state.selectedId);
+  for (const element of trendsView.querySelectorAll('[data-site]')) {
+    const isSelected = element.dataset.site === id;
+    element.classList.toggle('selected', isSelected);
+    // SVG has no z-index; move the selected dot last so it draws on top.
+    if (isSelected && element.matches('.chart-point')) element.parentNode.appendChild(element);
+  }
+
+  const feature = id ? featureById(id) : null;
+  trendSelection.classList.toggle('hidden', !feature);
+  trendSelection.innerHTML = feature
+    ? `
+      <div>
+        <small>Selected</small>
+        <strong>${feature.properties.name || 'Unnamed site'}</strong>
+        <span>${feature.properties.address || 'No address'}</span>
+      </div>
+      <button class="pill-btn" data-trend-action="map">Show on map</button>
+      <button class="text-btn" data-trend-action="clear">Clear</button>
+    `
+    : '';
+}
+
+function openOnMap(id) {
+  setView('map');
+  selectFeatureById(id, true);
+}
+
+function featureById(id) {
+  return state.filteredFeatures.find((feature) => String(feature.properties.id) === String(id)) || null;
+}
+
+function updateSelectedLayer() {
+  const targetId = state.selectedId ? String(state.selectedId) : '';
+  for (const layerId of ['selected-point', 'selected-footprint-fill', 'selected-footprint-outline']) {
+    if (map.getLayer(layerId)) {
+      map.setFilter(layerId, ['==', ['get', 'id'], targetId]);
+    }
+  }
+  updateProximityLayer();
+}
+
+function distanceMeters([lon1, lat1], [lon2, lat2]) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+function circlePolygon([lon, lat], radius, steps = 64) {
+  const metersPerDegreeLat = (Math.PI / 180) * EARTH_RADIUS_M;
+  const metersPerDegreeLon = metersPerDegreeLat * Math.cos((lat * Math.PI) / 180);
+  const ring = [];
+  for (let step = 0; step <= steps; step += 1) {
+    const angle = (step / steps) * 2 * Math.PI;
+    ring.push([lon + (radius * Math.cos(angle)) / metersPerDegreeLon, lat + (radius * Math.sin(angle)) / metersPerDegreeLat]);
+  }
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+const inventoryCentroids = new WeakMap();
+const footprintAreas = new WeakMap();
+
+// Plan area of the matched inventory outline, holes excluded. Rings are flattened around their own
+// latitude, which is accurate to well under a percent at building scale.
+function footprintArea(feature) {
+  if (footprintAreas.has(feature)) return footprintAreas.get(feature);
+  const { type, coordinates } = feature.footprint || {};
+  const polygons = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : [];
+  const metersPerDegreeLat = (Math.PI / 180) * EARTH_RADIUS_M;
+  let area = 0;
+  for (const polygon of polygons) {
+    polygon.forEach((ring, index) => {
+      if (ring.length < 4) return;
+      const [lon0, lat0] = ring[0];
+      const metersPerDegreeLon = metersPerDegreeLat * Math.cos((lat0 * Math.PI) / 180);
+      let twiceArea = 0;
+      for (let i = 0; i < ring.length - 1; i += 1) {
+        twiceArea += (ring[i][0] - lon0) * (ring[i + 1][1] - lat0) - (ring[i + 1][0] - lon0) * (ring[i][1] - lat0);
+      }
+      const ringArea = (Math.abs(twiceArea) / 2) * metersPerDegreeLat * metersPerDegreeLon;
+      area += index === 0 ? ringArea : -ringArea;
+    });
+  }
+  const result = polygons.length ? area : null;
+  footprintAreas.set(feature, result);
+  return result;
+}
+
+// Mean of the outer-ring vertices of the first polygon; close enough for walking distances.
+function inventoryCentroid(feature) {
+  if (inventoryCentroids.has(feature)) return inventoryCentroids.get(feature);
+  const { type, coordinates } = feature.geometry || {};
+  const ring = type === 'Polygon' ? coordinates[0] : type === 'MultiPolygon' ? coordinates[0]?.[0] : null;
+  const vertices = ring ? ring.slice(0, -1) : [];
+  const centroid = vertices.length
+    ? [
+        vertices.reduce((acc, [lon]) => acc + lon, 0) / vertices.length,
+        vertices.reduce((acc, [, lat]) => acc + lat, 0) / vertices.length,
+      ]
+    : null;
+  inventoryCentroids.set(feature, centroid);
+  return centroid;
+}
+
+function proximityCollection() {
+  const features = [];
+  const selected = state.selectedId ? featureById(state.selectedId) : null;
+  if (selected) {
+    features.push({
+      type: 'Feature',
+      geometry: circlePolygon(selected.geometry.coordinates, state.proximityRadius),
+      properties: { kind: 'selection' },
+    });
+  }
+  if (state.proximityCenter) {
+    features.push({
+      type: 'Feature',
+      geometry: circlePolygon(state.proximityCenter, state.proximityRadius),
+      properties: { kind: 'search' },
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+function updateProximityLayer() {
+  const source = map.getSource('proximity');
+  if (source) source.setData(proximityCollection());
+}
+
+function nearbyFor(feature) {
+  const origin = feature.geometry.coordinates;
+  const sites = state.filteredFeatures
+    .filter((other) => other !== feature)
+    .map((other) => ({ feature: other, distance: distanceMeters(origin, other.geometry.coordinates) }))
+    .filter((entry) => entry.distance <= state.proximityRadius)
+    .sort((a, b) => a.distance - b.distance);
+
+  // Shortlisted inventory buildings already appear as sites, so only the rest are listed.
+  const buildings = (state.inventory?.features || [])
+    .filter((building) => !building.properties.inShortlist)
+    .map((building) => {
+      const centroid = inventoryCentroid(building);
+      return { feature: building, distance: centroid ? distanceMeters(origin, centroid) : Infinity };
+    })
+    .filter((entry) => entry.distance <= state.proximityRadius)
+    .sort((a, b) => a.distance - b.distance);
+
+  return { sites, buildings };
+}
+
+function nearbyList(entries, render) {
+  if (!entries.length) return '<li class="nearby-empty">None within radius.</li>';
+  const shown = entries.slice(0, NEARBY_LIST_LIMIT).map(render).join('');
+  const more = entries.length - NEARBY_LIST_LIMIT;
+  return more > 0 ? `${shown}<li class="nearby-empty">+${more} more</li>` : shown;
+}
+
+function nearbyMeta(distance, grade) {
+  return `${formatNumber(distance)} m${grade ? ` · Grade ${grade}` : ''}`;
+}
+
+function nearbyBlock(feature) {
+  const { sites, buildings } = nearbyFor(feature);
+  const buildingList = state.inventory
+    ? `
+      <p class="list-title">Other inventory buildings (${buildings.length})</p>
+      <ul class="nearby-list">
+        ${nearbyList(
+          buildings,
+          ({ feature: building, distance }) => `
+            <li>
+              <span>${building.properties.heritageSiteName || building.properties.heritageAddress || 'Inventory building'}</span>
+              <small>${nearbyMeta(distance, building.properties.heritageCityGrade)}</small>
+            </li>
+          `,
+        )}
+      </ul>
+    `
+    : '';
+
+  return `
+    <section class="nearby-block">
+      <header>
+        <h3>Nearby</h3>
+        <label>
+          within
+          <input type="number" min="25" step="25" value="${state.proximityRadius}" data-proximity-radius aria-label="Nearby radius in metres" />
+          m
+        </label>
+      </header>
+      <p class="list-title">Sites in current filter (${sites.length})</p>
+      <ul class="nearby-list">
+        ${nearbyList(
+          sites,
+          ({ feature: site, distance }) => `
+            <li>
+              <button class="site-link" type="button" data-nearby-site="${site.properties.id}">${site.properties.name || 'Unnamed site'}</button>
+              <small>${nearbyMeta(distance, site.properties.heritageCityGrade)}</small>
+            </li>
+          `,
+        )}
+      </ul>
+      ${buildingList}
+    </section>
+  `;
+}
+
+function renderProximityControls() {
+  proximityRadiusInput.value = String(state.proximityRadius);
+  proximityPick.classList.toggle('active', state.proximityPicking);
+  proximityPick.textContent = state.proximityPicking ? 'Cancel' : 'Search around a point';
+  proximityClear.classList.toggle('hidden', !state.proximityCenter);
+  if (state.proximityPicking) {
+    proximityStatus.textContent = 'Click anywhere on the map to set the centre.';
+  } else if (state.proximityCenter) {
+    proximityStatus.textContent = `Showing sites within ${formatNumber(state.proximityRadius)} m of the picked point.`;
+  } else {
+    proximityStatus.textContent = '';
+  }
+  syncMapCursor();
+}
+
+// While picking a search point or drawing an area, map clicks belong to that tool rather than to the layers.
+function mapClickCaptured() {
+  return state.proximityPicking || Boolean(state.drawMode);
+}
+
+function syncMapCursor() {
+  map.getCanvas().style.cursor = mapClickCaptured() ? 'crosshair' : '';
+}
+
+function setProximityPicking(picking) {
+  if (picking) stopDrawing();
+  state.proximityPicking = picking;
+  renderProximityControls();
+}
+
+function setProximityCenter(center) {
+  state.proximityCenter = center;
+  state.proximityPicking = false;
+  renderProximityControls();
+  updateProximityLayer();
+  applyFilters();
+}
+
+function parseAreaRing(value) {
+  const points = String(value)
+    .split('|')
+    .map((pair) => pair.split(',').map(Number))
+    .filter((pair) => pair.length === 2 && pair.every(Number.isFinite));
+  return points.length >= 3 ? closeRing(points) : null;
+}
+
+function formatAreaRing(ring) {
+  return ring
+    .slice(0, -1)
+    .map((point) => point.map((coordinate) => coordinate.toFixed(5)).join(','))
+    .join('|');
+}
+
+function closeRing(points) {
+  const [first] = points;
+  const last = points[points.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? points : [...points, first];
+}
+
+function rectangleRing([lon1, lat1], [lon2, lat2]) {
+  return [
+    [lon1, lat1],
+    [lon2, lat1],
+    [lon2, lat2],
+    [lon1, lat2],
+    [lon1, lat1],
+  ];
+}
+
+function readSavedAreas() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(AREA_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter((area) => area?.name && Array.isArray(area.ring) && area.ring.length >= 4) : [];
+  } catch (error) {
+    console.warn(error);
+    return [];
+  }
+}
+
+function writeSavedAreas(areas) {
+  try {
+    window.localStorage.setItem(AREA_STORAGE_KEY, JSON.stringify(areas));
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+// Areas are compared by their rounded URL form, so a link reopened later still finds its saved name.
+function activeSavedArea() {
+  if (!state.areaRing) return null;
+  const key = formatAreaRing(state.areaRing);
+  return readSavedAreas().find((area) => formatAreaRing(area.ring) === key) || null;
+}
+
+function areaFeature(ring, properties) {
+  return { type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] }, properties };
+}
+
+function areaCollection() {
+  const features = [];
+  if (state.areaRing) features.push(areaFeature(state.areaRing, { kind: 'area' }));
+
+  if (state.drawMode && state.drawPoints.length) {
+    const points = state.drawHover ? [...state.drawPoints, state.drawHover] : state.drawPoints;
+    if (state.drawMode === 'rectangle' && points.length === 2) {
+      features.push(areaFeature(rectangleRing(points[0], points[1]), { kind: 'sketch' }));
+    } else if (points.length >= 2) {
+      features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates: points }, properties: { kind: 'sketch' } });
+    }
+    for (const point of state.drawPoints) {
+      features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: point }, properties: { kind: 'vertex' } });
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+function updateAreaLayer() {
+  const source = map.getSource('area');
+  if (source) source.setData(areaCollection());
+}
+
+function renderAreaControls() {
+  const saved = readSavedAreas();
+  const active = activeSavedArea();
+  areaSelect.innerHTML = [
+    '<option value="">No area</option>',
+    state.areaRing && !active ? '<option value="drawn">Drawn area (unsaved)</option>' : '',
+  ].join('');
+  for (const area of saved) {
+    const option = document.createElement('option');
+    option.value = area.name;
+    option.textContent = area.name;
+    areaSelect.appendChild(option);
+  }
+  areaSelect.value = active ? active.name : state.areaRing ? 'drawn' : '';
+
+  for (const button of areaControls.querySelectorAll('[data-draw-mode]')) {
+    const drawing = state.drawMode === button.dataset.drawMode;
+    button.classList.toggle('active', drawing);
+    button.textContent = drawing ? 'Cancel' : `Draw ${button.dataset.drawMode}`;
+  }
+  saveArea.disabled = !state.areaRing;
+  deleteArea.disabled = !active;
+  exportAreas.disabled = !saved.length && !state.areaRing;
+
+  if (state.drawMode === 'polygon') {
+    areaStatus.textContent = 'Click to add corners. Double-click, or click the first corner, to finish.';
+  } else if (state.drawMode === 'rectangle') {
+    areaStatus.textContent = state.drawPoints.length ? 'Click the opposite corner.' : 'Click the first corner.';
+  } else if (state.areaRing) {
+    areaStatus.textContent = `Showing sites inside ${active ? active.name : 'the drawn area'}.`;
+  } else {
+    areaStatus.textContent = '';
+  }
+}
+
+function startDrawing(mode) {
+  state.proximityPicking = false;
+  renderProximityControls();
+  state.drawMode = mode;
+  state.drawPoints = [];
+  state.drawHover = null;
+  map.doubleClickZoom.disable();
+  syncMapCursor();
+  renderAreaControls();
+}
+
+function stopDrawing() {
+  if (!state.drawMode) return;
+  state.drawMode = null;
+  state.drawPoints = [];
+  state.drawHover = null;
+  map.doubleClickZoom.enable();
+  syncMapCursor();
+  updateAreaLayer();
+  renderAreaControls();
+}
+
+function addDrawPoint(point, pixel) {
+  const last = state.drawPoints[state.drawPoints.length - 1];
+  // The clicks of a double-click land on the same spot; keep only one corner.
+  if (last && pixelDistance(map.project(last), pixel) < 4) return;
+
+  if (state.drawMode === 'rectangle') {
+    state.drawPoints.push(point);
+    if (state.drawPoints.length === 2) {
+      setAreaRing(rectangleRing(state.drawPoints[0], state.drawPoints[1]));
+      return;
+    }
+  } else {
+    const [first] = state.drawPoints;
+    if (state.drawPoints.length >= 3 && pixelDistance(map.project(first), pixel) < AREA_SNAP_PX) {
+      finishDrawing();
+      return;
+    }
+    state.drawPoints.push(point);
+  }
+  updateAreaLayer();
+  renderAreaControls();
+}
+
+function pixelDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function finishDrawing() {
+  if (state.drawPoints.length < 3) return;
+  setAreaRing(closeRing(state.drawPoints));
+}
+
+function setAreaRing(ring) {
+  state.areaRing = ring;
+  stopDrawing();
+  updateAreaLayer();
+  renderAreaControls();
+  applyFilters();
+}
+
+function exportAreaGeojson() {
+  const saved = readSavedAreas();
+  const features = saved.map((area) => areaFeature(area.ring, { name: area.name }));
+  if (state.areaRing && !activeSavedArea()) features.push(areaFeature(state.areaRing, { name: 'Drawn area' }));
+  if (!features.length) return;
+  const collection = { type: 'FeatureCollection', features };
+  downloadBlob(new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' }), exportFilename('geojson', 'areas'));
+}
+
+function handleProximityRadius(event) {
+  const input = event.target.closest('input[data-proximity-radius]');
+  if (!input) return;
+  const radius = Number(input.value);
+  if (!(radius > 0)) return;
+  state.proximityRadius = radius;
+  renderProximityControls();
+  updateProximityLayer();
+  // Only a point search changes the filtered set; otherwise the card is all that needs redrawing.
+  if (state.proximityCenter) {
+    applyFilters();
+  } else {
+    syncDetailCard();
+    writeUrlState('push');
+  }
+}
+
+// Fields shown on the detail card and compared row by row in the comparison view.
+const DETAIL_FIELDS = [
+  { label: 'Usage', render: (p) => p.usage || 'N/A' },
+  { label: 'Zoning', render: (p) => p.zoning || 'N/A' },
+  { label: 'ERF', render: (p) => p.erfNo || 'N/A' },
+  { label: 'ERF Size', render: (p) => p.erfSize || 'N/A' },
+  { label: 'Municipal Value', render: (p) => p.cmaMunicipalValue2023 || p.estValue || 'N/A' },
+  { label: 'Rates Est.', render: (p) => p.cmaRatesEstimate || 'N/A' },
+  {
+    label: 'Rates / yr',
+    render: (p, metrics) =>
+      `${formatCurrency(metrics.rates)}${metrics.ratesPeriod && metrics.ratesPeriod !== 'year' ? ` <small>(from ${metrics.ratesPeriod}ly)</small>` : ''}`,
+  },
+  { label: 'Rates / Value', render: (p, metrics) => formatPercent(metrics.ratesToValue, 3) },
+  { label: 'Upgrade Score', render: (p) => (Number.isFinite(scoreForId(p.id)) ? formatNumber(scoreForId(p.id)) : 'N/A') },
+  { label: 'Owner', render: (p) => p.owner || 'N/A' },
+  { label: 'City Grade', render: (p) => p.heritageCityGrade || 'N/A' },
+  { label: 'Council Grade', render: (p) => p.heritageCouncilGrade || 'N/A' },
+  { label: 'NHRA Status', render: (p) => p.nhraStatus || 'N/A' },
+  { label: 'Heritage Source', render: (p) => p.heritageAddress || 'N/A' },
+  {
+    label: 'Match Method',
+    render: (p) => `${p.heritageMatchMethod || 'N/A'}${p.heritageMatchConfidence ? ` (${p.heritageMatchConfidence})` : ''}`,
+  },
+  {
+    label: 'Location',
+    render: (p) => (p.locationSource === 'footprint-centroid' ? 'Footprint centroid (no usable GPS)' : 'GPS'),
+  },
+  {
+    label: 'Match Check',
+    render: (p) => {
+      const notes = [];
+      if (p.heritageMatchMethod === 'spatial-nearest') notes.push(`${formatNumber(p.heritageMatchDistanceM, 1)} m from footprint`);
+      if (p.heritageMatchHouseNumberAgrees === true) notes.push('house number agrees');
+      if (p.heritageMatchHouseNumberAgrees === false) notes.push('house number differs');
+      return notes.join(' · ') || 'N/A';
+    },
+  },
+];
+
+// Derived figures from metricsForFeature(); `better` marks which end is favourable when comparing.
+const COMPARE_METRICS = [
+  { key: 'size', label: 'Resolved Size', format: (value) => (Number.isFinite(value) ? `${formatNumber(value)} m2` : 'N/A'), better: 'high' },
+  { key: 'value', label: 'Resolved Value', format: (value) => formatCurrency(value), better: null },
+  { key: 'pricePerM2', label: 'Value / m2', format: (value) => formatCurrency(value), better: 'low' },
+  { key: 'rates', label: 'Rates / yr', format: (value) => formatCurrency(value), better: 'low' },
+  { key: 'ratesToValue', label: 'Rates / Value', format: (value) => formatPercent(value, 3), better: 'low' },
+];
+
+function syncDetailCard() {
+  const feature = state.selectedId ? featureById(state.selectedId) : null;
+  if (!feature || state.view !== 'map') {
+    detailCard.classList.add('hidden');
+    detailCard.innerHTML = '';
+    updateSelectedLayer();
+    return;
+  }
+
+  const p = feature.properties;
+  const metrics = metricsForFeature(feature);
+  const isCompared = state.compareIds.includes(String(p.id));
+  const [lon, lat] = feature.geometry.coordinates;
+  const streetViewImage = streetViewStaticUrl(lat, lon);
+  const streetViewLink = streetViewOpenUrl(lat, lon);
+  const streetViewBlock = streetViewImage
+    ? `
+      <div class="streetview-block">
+        <img class="streetview-image" src="${streetViewImage}" alt="Street View facade preview for ${p.name || 'site'}" loading="lazy" referrerpolicy="no-referrer-when-downgrade" />
+        <a class="streetview-link" href="${streetViewLink}" target="_blank" rel="noreferrer">Open Street View</a>
+      </div>
+    `
+    : `<p class="streetview-missing">Street View proxy not configured.</p>`;
+
+  detailCard.classList.remove('hidden');
+  detailCard.innerHTML = `
+    <h2>${p.name || 'Unnamed site'}</h2>
+    <p class="address">${p.address || 'No address listed'}</p>
+    ${streetViewBlock}
+    <dl>
+      ${DETAIL_FIELDS.map((field) => `<div><dt>${field.label}</dt><dd>${field.render(p, metrics)}</dd></div>`).join('')}
+    </dl>
+    <p class="sig">${p.heritageStatement || p.significance || 'No significance text available.'}</p>
+    ${nearbyBlock(feature)}
+    ${pipelineFields(p.id)}
+    <details class="scenario-block" ${state.scenarioOpen ? 'open' : ''}>
+      <summary>Upgrade scenario</summary>
+      <div class="scenario-inputs">
+        <label class="field">
+          <span>Acquisition (R)</span>
+          <input type="number" min="0" step="10000" data-scenario-price="${p.id}" value="${state.scenarioPrices[String(p.id)] ?? ''}" placeholder="${Number.isFinite(metrics.value) ? Math.round(metrics.value) : 'No resolved value'}" />
+        </label>
+        ${scenarioAssumptionInputs()}
+      </div>
+      <dl class="scenario-results" data-scenario-results="${p.id}">${scenarioResults(scenarioForRow(metrics))}</dl>
+    </details>
+    <div class="detail-actions">
+      <button class="pill-btn ghost" data-compare="${p.id}" ${!isCompared && state.compareIds.length >= COMPARE_MAX ? 'disabled' : ''}>
+        ${isCompared ? 'Remove from comparison' : 'Add to comparison'}
+      </button>
+    </div>
+  `;
+  detailCard.querySelector('textarea[data-pipeline-notes]').value = pipelineEntry(p.id)?.notes || '';
+
+  updateSelectedLayer();
+}
+
+function pipelineStatusOptions(selected) {
+  return [{ key: '', label: PIPELINE_UNTRACKED }, ...PIPELINE_STATUSES]
+    .map((option) => `<option value="${option.key}" ${option.key === selected ? 'selected' : ''}>${option.label}</option>`)
+    .join('');
+}
+
+function pipelineFields(id) {
+  const entry = pipelineEntry(id);
+  const updated = entry?.updatedAt ? new Date(entry.updatedAt).toLocaleDateString() : '';
+  return `
+    <div class="pipeline-fields">
+      <label class="field">
+        <span>Pipeline Status</span>
+        <select data-pipeline-status="${id}">${pipelineStatusOptions(entry?.status || '')}</select>
+      </label>
+      <label class="field">
+        <span>Notes${updated ? ` · updated ${updated}` : ''}</span>
+        <textarea data-pipeline-notes="${id}" rows="3" placeholder="Contacts, asking price, next steps"></textarea>
+      </label>
+    </div>
+  `;
+}
+
+function renderBoard() {
+  const byStatus = new Map(PIPELINE_STATUSES.map((option) => [option.key, []]));
+  for (const feature of state.filteredFeatures) {
+    const status = pipelineStatusFor(feature.properties.id);
+    if (status) byStatus.get(status.key).push(feature);
+  }
+
+  const tracked = Array.from(byStatus.values()).reduce((sum, features) => sum + features.length, 0);
+  boardSummary.textContent = `${tracked} tracked of ${state.filteredFeatures.length} sites in the current filter. Drag cards between columns or set a status from the map.`;
+
+  boardColumns.innerHTML = PIPELINE_STATUSES.map((option) => {
+    const features = byStatus.get(option.key);
+    return `
+      <section class="board-column status-${option.key}" data-status="${option.key}">
+        <header><h3>${option.label}</h3><small>${features.length}</small></header>
+        <div class="board-cards">
+          ${features
+            .map((feature) => {
+              const p = feature.properties;
+              const entry = pipelineEntry(p.id);
+              return `
+                <article class="board-card ${String(p.id) === String(state.selectedId) ? 'active' : ''}" draggable="true" data-board-id="${p.id}">
+                  <button class="board-card-title" data-board-open="${p.id}">${p.name || 'Unnamed site'}</button>
+                  <span>${p.address || 'No address'}</span>
+                  ${entry.notes ? '<p data-board-notes></p>' : ''}
+                  <select data-pipeline-status="${p.id}" aria-label="Pipeline status">${pipelineStatusOptions(option.key)}</select>
+                </article>
+              `;
+            })
+            .join('')}
+        </div>
+      </section>
+    `;
+  }).join('');
+  // Notes are free text (and may come from an imported file), so they never go through innerHTML.
+  for (const notes of boardColumns.querySelectorAll('[data-board-notes]')) {
+    notes.textContent = pipelineEntry(notes.closest('[data-board-id]').dataset.boardId).notes;
+  }
+}
+
+function readMatchReview() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(MATCH_REVIEW_STORAGE_KEY) || 'null');
+    return sanitizeMatchDecisions(stored?.decisions);
+  } catch (error) {
+    console.warn(error);
+    return [];
+  }
+}
+
+function saveMatchReview() {
+  try {
+    window.localStorage.setItem(MATCH_REVIEW_STORAGE_KEY, JSON.stringify({ version: 1, decisions: state.matchReview }));
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+function sanitizeMatchDecisions(decisions) {
+  if (!Array.isArray(decisions)) return [];
+  return decisions
+    .filter((decision) => decision?.site && decision.inventoryKey && ['pin', 'reject'].includes(decision.action))
+    .map((decision) => ({
+      site: String(decision.site),
+      inventoryKey: String(decision.inventoryKey),
+      action: decision.action,
+      decidedAt: typeof decision.decidedAt === 'string' ? decision.decidedAt : '',
+    }));
+}
+
+function siteDecisions(id) {
+  return state.matchReview.filter((decision) => decision.site === String(id));
+}
+
+function matchDecision(id, inventoryKey) {
+  return siteDecisions(id).find((decision) => decision.inventoryKey === inventoryKey) || null;
+}
+
+// A site keeps at most one pin; pinning or rejecting a building replaces any earlier call on it.
+function setMatchDecision(id, inventoryKey, action) {
+  const site = String(id);
+  state.matchReview = state.matchReview.filter(
+    (decision) =>
+      decision.site !== site || (decision.inventoryKey !== inventoryKey && !(action === 'pin' && decision.action === 'pin')),
+  );
+  if (action) state.matchReview.push({ site, inventoryKey, action, decidedAt: new Date().toISOString() });
+  saveMatchReview();
+}
+
+function needsMatchReview(p) {
+  return REVIEW_CONFIDENCES.includes(p.heritageMatchConfidence);
+}
+
+function reviewFeatures() {
+  return state.filteredFeatures.filter((feature) => {
+    const p = feature.properties;
+    const decided = siteDecisions(p.id).length > 0;
+    if (state.reviewFilter === 'decided') return decided;
+    if (!needsMatchReview(p)) return false;
+    if (state.reviewFilter === 'pending') return !decided;
+    return p.heritageMatchConfidence === state.reviewFilter;
+  });
+}
+
+function reviewCandidate(siteId, candidate) {
+  const decision = candidate.inventoryKey ? matchDecision(siteId, candidate.inventoryKey) : null;
+  const data = `data-review-site="${siteId}" data-review-key="${candidate.inventoryKey}"`;
+  let actions = '';
+  if (decision) {
+    actions = `
+      <span class="review-decision decision-${decision.action}">${decision.action === 'pin' ? 'Pinned' : 'Rejected'}</span>
+      <button class="text-btn" type="button" data-review-action="undo" ${data}>Undo</button>
+    `;
+  } else if (candidate.inventoryKey) {
+    actions = candidate.selected
+      ? `
+        <button class="pill-btn ghost" type="button" data-review-action="pin" ${data}>Confirm</button>
+        <button class="text-btn" type="button" data-review-action="reject" ${data}>Reject</button>
+      `
+      : `<button class="pill-btn ghost" type="button" data-review-action="pin" ${data}>Use this instead</button>`;
+  }
+
+  return `
+    <section class="review-candidate ${candidate.selected ? 'selected' : ''}">
+      <header>
+        <small>${candidate.selected ? 'Current match' : 'Alternative'}</small>
+        <small>${candidate.method}${candidate.score != null ? ` · ${formatNumber(candidate.score, 1)}` : ''}</small>
+      </header>
+      <strong>${candidate.siteName || candidate.address || 'Inventory building'}</strong>
+      <span>${candidate.address || 'No address'}${candidate.cityGrade ? ` · Grade ${candidate.cityGrade}` : ''}</span>
+      <ul>${(candidate.reasons || []).map((reason) => `<li>${reason}</li>`).join('')}</ul>
+      <div class="review-actions">${actions}</div>
+    </section>
+  `;
+}
+
+function renderReview() {
+  const features = reviewFeatures();
+  const pending = state.filteredFeatures.filter(
+    (feature) => needsMatchReview(feature.properties) && !siteDecisions(feature.properties.id).length,
+  ).length;
+  reviewSummary.textContent = `${pending} low or medium confidence ${pending === 1 ? 'match' : 'matches'} awaiting review in the current filter, ${state.matchReview.length} ${state.matchReview.length === 1 ? 'decision' : 'decisions'} made here. Export the decisions and commit them as scripts/match-overrides.json; the next data build applies them.`;
+  exportOverrides.disabled = !state.matchReview.length;
+
+  if (!features.length) {
+    reviewList.innerHTML = '<p class="review-empty">No matches to show for this selection.</p>';
+    return;
+  }
+
+  reviewList.innerHTML = features
+    .map((feature) => {
+      const p = feature.properties;
+      const candidates = p.heritageMatchCandidates || [];
+      return `
+        <article class="review-card ${String(p.id) === String(state.selectedId) ? 'active' : ''}">
+          <section class="review-site">
+            <button class="board-card-title" type="button" data-review-open="${p.id}">${p.name || 'Unnamed site'}</button>
+            <span>${p.address || 'No address'}</span>
+            <small>Workbook #${p.id}${p.erfNo ? ` · ERF ${p.erfNo}` : ''}</small>
+            ${p.heritageMatchConfidence ? `<em class="status-badge confidence-${p.heritageMatchConfidence}">${p.heritageMatchConfidence}</em>` : ''}
+          </section>
+          ${candidates.length ? candidates.map((candidate) => reviewCandidate(p.id, candidate)).join('') : '<p class="review-empty">No inventory candidates.</p>'}
+        </article>
+      `;
+    })
+    .join('');
+}
+
+// Merges local decisions into the overrides the data was built with, so the download can replace the file as-is.
+function exportMatchOverrides() {
+  const merged = new Map();
+  for (const entry of state.data.matchOverrides || []) merged.set(`${entry.site}|${entry.inventoryKey}`, entry);
+  for (const decision of state.matchReview) {
+    if (decision.action === 'pin') {
+      for (const [key, entry] of merged) {
+        if (entry.site === decision.site && entry.action === 'pin') merged.delete(key);
+      }
+    }
+    merged.set(`${decision.site}|${decision.inventoryKey}`, {
+      site: decision.site,
+      inventoryKey: decision.inventoryKey,
+      action: decision.action,
+    });
+  }
+
+  const overrides = Array.from(merged.values())
+    .map(({ site, inventoryKey, action, note }) => ({ site, inventoryKey, action, ...(note ? { note } : {}) }))
+    .sort(
+      (a, b) =>
+        a.site.localeCompare(b.site, undefined, { numeric: true }) ||
+        a.inventoryKey.localeCompare(b.inventoryKey, undefined, { numeric: true }),
+    );
+  const payload = `${JSON.stringify({ version: 1, overrides }, null, 2)}\n`;
+  downloadBlob(new Blob([payload], { type: 'application/json' }), 'match-overrides.json');
+}
 
-  const x = (value) => pad.left + ((value - xMin) / (xMax - xMin || 1)) * (width - pad.left - pad.right);
-  const y = (value) => height - pad.bottom - ((value - yMin) / (yMax - yMin || 1)) * (height - pad.top - pad.bottom);
+let tableColumnCache = null;
 
-  const gridPitch = 14;
-  const dotGrid = [];
-  for (let yy = pad.top; yy <= height - pad.bottom; yy += gridPitch) {
-    for (let xx = pad.left; xx <= width - pad.right; xx += gridPitch) {
-      dotGrid.push(`<circle class="bg-dot" cx="${xx}" cy="${yy}" r="1.4" />`);
+function tableColumns() {
+  if (!tableColumnCache) {
+    const keys = new Set();
+    const nested = new Set();
+    for (const feature of state.data.features) {
+      for (const [key, value] of Object.entries(feature.properties)) {
+        // Match candidates and rejected keys are lists; the review screen shows them instead.
+        if (value !== null && typeof value === 'object') nested.add(key);
+        keys.add(key);
+      }
     }
+    for (const key of nested) keys.delete(key);
+    tableColumnCache = [
+      ...TABLE_METRIC_COLUMNS,
+      ...Array.from(keys).map((key) => ({ key, label: key, get: (feature) => feature.properties[key] })),
+    ];
   }
+  return tableColumnCache;
+}
 
-  const xTicks = [xMin, xMin + (xMax - xMin) / 2, xMax];
-  const yTicks = [yMin, yMin + (yMax - yMin) / 2, yMax];
+function tableColumn(key) {
+  return tableColumns().find((column) => column.key === key) || null;
+}
 
-  const xTickLabels = xTicks
-    .map((tick, i) => {
-      const xx = x(tick);
-      const isLast = i === xTicks.length - 1;
-      return `<text class="tick-label x-tick" x="${xx}" y="${height - 30}">${isLast ? '' : formatNumber(tick)}</text>`;
-    })
-    .join('');
+function tableCellText(column, value) {
+  if (column.numeric) return Number.isFinite(value) ? column.format(value) : '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value ?? '');
+}
 
-  const yTickLabels = yTicks
-    .map((tick) => {
-      const yy = y(tick);
-      return `<text class="tick-label y-tick" x="${pad.left - 10}" y="${yy + 3}">${formatNumber(tick / 1000000, 1)}M</text>`;
-    })
-    .join('');
+function isEmptyCell(column, value) {
+  return column.numeric ? !Number.isFinite(value) : value == null || String(value).trim() === '';
+}
 
-  const pointMarks = points
-    .map((point) => {
-      const cx = x(point.size);
-      const cy = y(point.value);
-      return `<g><circle class="point" cx="${cx}" cy="${cy}" r="6"></circle><title>${point.name}: ${formatNumber(point.size)} m2 | ${formatCurrency(point.value)}</title></g>`;
-    })
-    .join('');
+// Empty cells sort last in either direction.
+function sortedTableFeatures() {
+  const features = [...state.filteredFeatures];
+  const descending = state.tableSort.startsWith('-');
+  const column = tableColumn(state.tableSort.replace(/^-/, ''));
+  if (!column) return features;
 
-  sizeValueChart.innerHTML = `
-    <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet" aria-label="ERF size and value chart">
-      ${dotGrid.join('')}
-      <line class="axis-line" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" />
-      <line class="axis-line" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" />
-      ${xTickLabels}
-      ${yTickLabels}
-      ${pointMarks}
-      <text class="axis-label" x="${pad.left}" y="${pad.top - 14}">VALUE (ZAR)</text>
-      <text class="axis-label x-axis-label" x="${width - pad.right}" y="${height - 12}">ERF SIZE (M2)</text>
-    </svg>
+  const values = new Map(features.map((feature) => [feature, column.get(feature)]));
+  return features.sort((a, b) => {
+    const left = values.get(a);
+    const right = values.get(b);
+    const leftEmpty = isEmptyCell(column, left);
+    const rightEmpty = isEmptyCell(column, right);
+    if (leftEmpty || rightEmpty) return Number(leftEmpty) - Number(rightEmpty);
+    const order = column.numeric
+      ? left - right
+      : tableCellText(column, left).localeCompare(tableCellText(column, right), undefined, { numeric: true });
+    return descending ? -order : order;
+  });
+}
+
+function tableFooterCell(column) {
+  const values = state.filteredFeatures.map((feature) => column.get(feature));
+  if (!column.numeric) {
+    const filled = values.filter((value) => !isEmptyCell(column, value)).length;
+    return `${filled} filled`;
+  }
+  const numbers = values.filter((value) => Number.isFinite(value));
+  if (!numbers.length) return '';
+  const total = numbers.reduce((acc, value) => acc + value, 0);
+  return column.aggregate === 'sum'
+    ? `Σ ${column.format(total)}`
+    : `avg ${column.format(total / numbers.length)}`;
+}
+
+function renderColumnOptions() {
+  const selected = new Set(state.tableColumns);
+  const option = (column) => `
+    <label class="facet-option">
+      <input type="checkbox" value="${column.key}" ${selected.has(column.key) ? 'checked' : ''} />
+      <span>${column.label}</span>
+    </label>
+  `;
+  columnOptions.innerHTML = `
+    <p class="menu-title">Derived</p>
+    ${TABLE_METRIC_COLUMNS.map(option).join('')}
+    <p class="menu-title">Properties</p>
+    ${tableColumns().filter((column) => !column.key.startsWith('metric:')).map(option).join('')}
+    <button data-column-action="reset">Reset columns</button>
   `;
 }
 
-function renderPricingTable(rows) {
-  const ranked = rows
-    .filter((row) => Number.isFinite(row.pricePerM2))
-    .sort((a, b) => b.pricePerM2 - a.pricePerM2)
-    .slice(0, 10);
+function renderTable() {
+  const columns = state.tableColumns.map(tableColumn).filter(Boolean);
+  const features = sortedTableFeatures();
+  const pageCount = Math.max(1, Math.ceil(features.length / state.tablePageSize));
+  state.tablePage = Math.min(Math.max(state.tablePage, 0), pageCount - 1);
+  const start = state.tablePage * state.tablePageSize;
+  const page = features.slice(start, start + state.tablePageSize);
+  const sortKey = state.tableSort.replace(/^-/, '');
+  const sortMark = state.tableSort.startsWith('-') ? '▼' : '▲';
 
-  if (!ranked.length) {
-    pricingTableBody.innerHTML = '<tr><td colspan="4">No pricing data in current filter.</td></tr>';
-    return;
-  }
+  tableSummary.textContent = features.length
+    ? `Showing ${start + 1}-${start + page.length} of ${features.length} sites in the current filter. Click a header to sort, a row to select, double-click to open on the map.`
+    : 'No sites in the current filter.';
 
-  pricingTableBody.innerHTML = ranked
-    .map(
-      (row) => `
-        <tr>
-          <td>${row.name}</td>
-          <td>${formatNumber(row.size)}</td>
-          <td>${formatCurrency(row.value)}</td>
-          <td>${formatCurrency(row.pricePerM2)}</td>
-        </tr>
-      `,
-    )
-    .join('');
+  dataTableHead.innerHTML = `
+    <tr>
+      ${columns
+        .map(
+          (column) =>
+            `<th class="${column.numeric ? 'numeric' : ''} ${column.key === sortKey ? 'sorted' : ''}" data-sort-key="${column.key}">${column.label}${column.key === sortKey ? ` ${sortMark}` : ''}</th>`,
+        )
+        .join('')}
+    </tr>
+  `;
+
+  dataTableBody.innerHTML = page.length
+    ? page
+        .map((feature) => {
+          const id = String(feature.properties.id);
+          return `
+            <tr class="site-row ${id === String(state.selectedId) ? 'selected' : ''}" data-site="${id}">
+              ${columns.map((column) => `<td class="${column.numeric ? 'numeric' : ''}">${tableCellText(column, column.get(feature))}</td>`).join('')}
+            </tr>
+          `;
+        })
+        .join('')
+    : `<tr><td colspan="${columns.length || 1}">No sites in current filter.</td></tr>`;
+
+  dataTableFoot.innerHTML = `
+    <tr>${columns.map((column) => `<td class="${column.numeric ? 'numeric' : ''}">${tableFooterCell(column)}</td>`).join('')}</tr>
+  `;
+
+  tablePager.innerHTML = `
+    <button class="pill-btn ghost" data-page="${state.tablePage - 1}" ${state.tablePage === 0 ? 'disabled' : ''}>Previous</button>
+    <span>Page ${state.tablePage + 1} of ${pageCount}</span>
+    <button class="pill-btn ghost" data-page="${state.tablePage + 1}" ${state.tablePage >= pageCount - 1 ? 'disabled' : ''}>Next</button>
+  `;
 }
 
-function renderTrends() {
-  const rows = getMetricsRows();
-  renderTrendCards(rows);
-  renderSizeValueChart(rows);
-  renderPricingTable(rows);
+// Moves the table to the page holding the selected site so selections made elsewhere stay visible.
+function revealTableSelection() {
+  const index = sortedTableFeatures().findIndex((feature) => String(feature.properties.id) === String(state.selectedId));
+  if (index >= 0) state.tablePage = Math.floor(index / state.tablePageSize);
+  renderTable();
 }
 
-function featureById(id) {
-  return state.filteredFeatures.find((feature) => String(feature.properties.id) === String(id)) || null;
+// Returns the shared default list when the keys match it, so the URL leaves default columns out.
+function canonicalTableColumns(keys) {
+  return keys.join('|') === DEFAULT_TABLE_COLUMNS.join('|') ? DEFAULT_TABLE_COLUMNS : keys;
 }
 
-function updateSelectedLayer() {
-  const targetId = state.selectedId ? String(state.selectedId) : '';
-  if (map.getLayer('selected-point')) {
-    map.setFilter('selected-point', ['==', ['get', 'id'], targetId]);
-  }
+function setTableColumns(keys) {
+  state.tableColumns = canonicalTableColumns(keys);
+  renderColumnOptions();
+  renderTable();
+  writeUrlState('push');
 }
 
-function syncDetailCard() {
-  const feature = state.selectedId ? featureById(state.selectedId) : null;
-  if (!feature || state.view !== 'map') {
-    detailCard.classList.add('hidden');
-    detailCard.innerHTML = '';
-    updateSelectedLayer();
+function handlePipelineChange(event) {
+  const statusSelect = event.target.closest('select[data-pipeline-status]');
+  if (statusSelect) {
+    updatePipelineEntry(statusSelect.dataset.pipelineStatus, { status: statusSelect.value });
+    applyFilters({ history: 'none' });
     return;
   }
 
-  const p = feature.properties;
-  const [lon, lat] = feature.geometry.coordinates;
-  const streetViewImage = streetViewStaticUrl(lat, lon);
-  const streetViewLink = streetViewOpenUrl(lat, lon);
-  const streetViewBlock = streetViewImage
-    ? `
-      <div class="streetview-block">
-        <img class="streetview-image" src="${streetViewImage}" alt="Street View facade preview for ${p.name || 'site'}" loading="lazy" referrerpolicy="no-referrer-when-downgrade" />
-        <a class="streetview-link" href="${streetViewLink}" target="_blank" rel="noreferrer">Open Street View</a>
-      </div>
-    `
-    : `<p class="streetview-missing">Street View proxy not configured.</p>`;
-
-  detailCard.classList.remove('hidden');
-  detailCard.innerHTML = `
-    <h2>${p.name || 'Unnamed site'}</h2>
-    <p class="address">${p.address || 'No address listed'}</p>
-    ${streetViewBlock}
-    <dl>
-      <div><dt>Usage</dt><dd>${p.usage || 'N/A'}</dd></div>
-      <div><dt>Zoning</dt><dd>${p.zoning || 'N/A'}</dd></div>
-      <div><dt>ERF</dt><dd>${p.erfNo || 'N/A'}</dd></div>
-      <div><dt>ERF Size</dt><dd>${p.erfSize || 'N/A'}</dd></div>
-      <div><dt>Municipal Value</dt><dd>${p.cmaMunicipalValue2023 || p.estValue || 'N/A'}</dd></div>
-      <div><dt>Rates Est.</dt><dd>${p.cmaRatesEstimate || 'N/A'}</dd></div>
-      <div><dt>Owner</dt><dd>${p.owner || 'N/A'}</dd></div>
-      <div><dt>City Grade</dt><dd>${p.heritageCityGrade || 'N/A'}</dd></div>
-      <div><dt>Council Grade</dt><dd>${p.heritageCouncilGrade || 'N/A'}</dd></div>
-      <div><dt>NHRA Status</dt><dd>${p.nhraStatus || 'N/A'}</dd></div>
-      <div><dt>Heritage Source</dt><dd>${p.heritageAddress || 'N/A'}</dd></div>
-      <div><dt>Match Method</dt><dd>${p.heritageMatchMethod || 'N/A'}${p.heritageMatchConfidence ? ` (${p.heritageMatchConfidence})` : ''}</dd></div>
-    </dl>
-    <p class="sig">${p.heritageStatement || p.significance || 'No significance text available.'}</p>
-  `;
-
-  updateSelectedLayer();
+  const notesInput = event.target.closest('textarea[data-pipeline-notes]');
+  if (notesInput) {
+    updatePipelineEntry(notesInput.dataset.pipelineNotes, { notes: notesInput.value });
+    renderBoard();
+  }
 }
 
 function selectFeatureById(id, flyTo = false) {
   state.selectedId = id;
   renderList();
   syncDetailCard();
+  highlightTrendSelection();
+  revealTableSelection();
+  writeUrlState('push');
 
   const feature = featureById(id);
   if (feature && flyTo && state.view === 'map') {
@@ -756,45 +4178,303 @@ function fitToVisible() {
   });
 }
 
-function setView(view) {
-  state.view = view;
-  const mapVisible = view === 'map';
+function setView(view, { history = 'push' } = {}) {
+  state.view = VIEWS.includes(view) ? view : 'trends';
+  const mapVisible = state.view === 'map';
 
   for (const button of viewSwitch.querySelectorAll('.view-btn')) {
-    button.classList.toggle('active', button.dataset.view === view);
+    button.classList.toggle('active', button.dataset.view === state.view);
   }
 
   mapContainer.classList.toggle('hidden', !mapVisible);
+  mapLegend.classList.toggle('hidden', !mapVisible);
   detailCard.classList.toggle('hidden', !mapVisible || !state.selectedId);
-  trendsView.classList.toggle('hidden', mapVisible);
+  trendsView.classList.toggle('hidden', state.view !== 'trends');
+  boardView.classList.toggle('hidden', state.view !== 'board');
+  reviewView.classList.toggle('hidden', state.view !== 'review');
+  tableView.classList.toggle('hidden', state.view !== 'table');
   styleToggle.disabled = !mapVisible;
   styleToggle.classList.toggle('disabled', !mapVisible);
 
   if (mapVisible) setTimeout(() => map.resize(), 120);
   syncDetailCard();
+  writeUrlState(history);
+}
+
+function restoreUrlState() {
+  const next = readUrlState();
+  assignUrlState(next);
+  syncControlsFromState();
+  updateInventoryLayers();
+  applyPointStyling();
+  applyClusterLabels();
+  applyFilters({ history: 'none' });
+  setView(next.view || state.view, { history: 'none' });
+  setMapStyle(next.styleKey, { history: 'none', animate: !next.camera });
+  if (next.camera) map.jumpTo(next.camera);
+}
+
+const EXPORT_HERITAGE_FIELDS = [
+  'heritageInventoryKey',
+  'heritageSiteName',
+  'heritageAddress',
+  'heritageParcelKey',
+  'heritageCityGrade',
+  'heritageCouncilGrade',
+  'heritageManagementGrade',
+  'nhraStatus',
+  'heritageResourceCategory',
+  'heritageTypePrimary',
+  'heritageTypeSecondary',
+  'heritageStatus',
+  'heritageMatchMethod',
+  'heritageMatchScore',
+  'heritageMatchConfidence',
+  'heritageMatchDistanceM',
+  'heritageMatchHouseNumberAgrees',
+  'hasCBDHeritageMatch',
+  'locationSource',
+];
+
+function roundOrNull(value, digits = 2) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function exportRecords() {
+  return state.filteredFeatures.map((feature) => {
+    const p = feature.properties;
+    const metrics = metricsForFeature(feature);
+    const [lon, lat] = feature.geometry.coordinates;
+    const record = {
+      id: p.id,
+      name: p.name || '',
+      address: p.address || '',
+      erfNo: p.erfNo || '',
+      erfSize: p.erfSize || '',
+      usage: p.usage || '',
+      zoning: p.zoning || '',
+      owner: p.owner || '',
+      estValue: p.estValue || '',
+      cmaMunicipalValue2023: p.cmaMunicipalValue2023 || '',
+      cmaRatesEstimate: p.cmaRatesEstimate || '',
+      resolvedSizeM2: roundOrNull(metrics.size),
+      resolvedValue: roundOrNull(metrics.value, 0),
+      valueSource: metrics.valueSource || '',
+      valueLow: roundOrNull(metrics.valueLow, 0),
+      valueHigh: roundOrNull(metrics.valueHigh, 0),
+      valuePerM2: roundOrNull(metrics.pricePerM2),
+      ratesAnnual: roundOrNull(metrics.rates),
+      ratesPeriod: metrics.ratesPeriod || '',
+      ratesToValue: roundOrNull(metrics.ratesToValue, 6),
+      upgradeScore: roundOrNull(scoreForFeature(feature).score, 1),
+      pipelineStatus: pipelineStatusFor(p.id)?.label || '',
+      pipelineNotes: pipelineEntry(p.id)?.notes || '',
+    };
+    for (const field of EXPORT_HERITAGE_FIELDS) {
+      record[field] = p[field] ?? '';
+    }
+    record.lon = lon;
+    record.lat = lat;
+    return record;
+  });
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  if (!records.length) return '';
+  const headers = Object.keys(records[0]);
+  const lines = [headers.join(',')];
+  for (const record of records) {
+    lines.push(headers.map((header) => csvCell(record[header])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportFilename(extension, label = '') {
+  const stamp = new Date().toISOString().slice(0, 10);
+  return `heritage-atlas${label ? `-${label}` : ''}-${stamp}.${extension}`;
+}
+
+async function exportFilteredSet(format) {
+  const records = exportRecords();
+
+  if (format === 'csv') {
+    // Leading BOM so Excel opens the UTF-8 file with the right encoding.
+    downloadBlob(new Blob(['\ufeff', toCsv(records)], { type: 'text/csv;charset=utf-8' }), exportFilename('csv'));
+    return;
+  }
+
+  if (format === 'geojson') {
+    const collection = {
+      type: 'FeatureCollection',
+      exportedAt: new Date().toISOString(),
+      features: records.map(({ lon, lat, ...properties }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+        properties,
+      })),
+    };
+    downloadBlob(new Blob([JSON.stringify(collection, null, 2)], { type: 'application/geo+json' }), exportFilename('geojson'));
+    return;
+  }
+
+  if (format === 'xlsx') {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(records), 'Filtered Sites');
+    XLSX.writeFile(workbook, exportFilename('xlsx'));
+  }
+}
+
+async function copyShareLink() {
+  writeUrlState('replace');
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    shareLink.textContent = 'Link Copied';
+  } catch {
+    window.prompt('Copy this link', window.location.href);
+  }
+  setTimeout(() => {
+    shareLink.textContent = 'Copy Link';
+  }, 1600);
 }
 
 function wireInputs() {
   searchInput.addEventListener('input', (event) => {
     state.search = event.target.value;
-    applyFilters();
+    applyFilters({ history: 'replace' });
   });
 
-  usageFilter.addEventListener('change', (event) => {
-    state.usage = event.target.value;
+  facetList.addEventListener('change', (event) => {
+    const input = event.target.closest('input[type="checkbox"]');
+    const facetEl = event.target.closest('[data-facet]');
+    if (!input || !facetEl) return;
+    const key = facetEl.dataset.facet;
+    state[key] = input.checked
+      ? [...state[key], input.value]
+      : state[key].filter((value) => value !== input.value);
     applyFilters();
   });
 
-  zoningFilter.addEventListener('change', (event) => {
-    state.zoning = event.target.value;
-    applyFilters();
+  facetList.addEventListener('input', (event) => {
+    const input = event.target.closest('input[type="range"]');
+    const container = event.target.closest('[data-range]');
+    if (!input || !container) return;
+    const range = RANGE_FILTERS.find((entry) => entry.key === container.dataset.range);
+    state[range.key] = readRangeInputs(container, range);
+    applyFilters({ history: 'none' });
+  });
+
+  facetList.addEventListener('change', (event) => {
+    if (!event.target.closest('input[type="range"]')) return;
+    writeUrlState('push');
   });
 
-  heritageGradeFilter.addEventListener('change', (event) => {
-    state.heritageGrade = event.target.value;
+  clearFacets.addEventListener('click', () => {
+    for (const facet of FACETS) state[facet.key] = [];
+    for (const range of RANGE_FILTERS) state[range.key] = null;
+    state.proximityCenter = null;
+    state.areaRing = null;
+    renderProximityControls();
+    updateProximityLayer();
+    updateAreaLayer();
+    renderAreaControls();
     applyFilters();
   });
 
+  inventoryToggle.addEventListener('change', (event) => {
+    state.inventoryVisible = event.target.checked;
+    inventoryGradeFilter.disabled = !state.inventoryVisible;
+    updateInventoryLayers();
+    writeUrlState('push');
+  });
+
+  inventoryGradeFilter.addEventListener('change', (event) => {
+    state.inventoryGrade = event.target.value;
+    updateInventoryLayers();
+    writeUrlState('push');
+  });
+
+  for (const container of [siteList, compareTray, compareView, detailCard]) {
+    container.addEventListener('click', (event) => {
+      const compareButton = event.target.closest('button[data-compare]');
+      if (compareButton) {
+        toggleCompare(compareButton.dataset.compare);
+        return;
+      }
+
+      const action = event.target.closest('button[data-compare-action]')?.dataset.compareAction;
+      if (action === 'open') setCompareOpen(true);
+      if (action === 'close') setCompareOpen(false);
+      if (action === 'clear') {
+        state.compareIds = [];
+        state.compareOpen = false;
+        renderList();
+        renderCompareTray();
+        renderCompareView();
+        syncDetailCard();
+        writeUrlState('push');
+      }
+    });
+  }
+
+  window.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && state.compareOpen) setCompareOpen(false);
+    if (event.key === 'Escape' && state.proximityPicking) setProximityPicking(false);
+    if (event.key === 'Escape' && state.drawMode) stopDrawing();
+  });
+
+  proximityRadiusInput.addEventListener('change', handleProximityRadius);
+  proximityPick.addEventListener('click', () => setProximityPicking(!state.proximityPicking));
+  proximityClear.addEventListener('click', () => setProximityCenter(null));
+
+  areaControls.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-draw-mode]');
+    if (!button) return;
+    if (state.drawMode === button.dataset.drawMode) stopDrawing();
+    else startDrawing(button.dataset.drawMode);
+  });
+
+  areaSelect.addEventListener('change', (event) => {
+    if (event.target.value === 'drawn') return;
+    const area = readSavedAreas().find((entry) => entry.name === event.target.value);
+    setAreaRing(area ? area.ring : null);
+  });
+
+  saveArea.addEventListener('click', () => {
+    if (!state.areaRing) return;
+    const name = window.prompt('Name this area', activeSavedArea()?.name || '')?.trim();
+    if (!name) return;
+    const areas = readSavedAreas().filter((area) => area.name !== name);
+    writeSavedAreas([...areas, { name, ring: state.areaRing }]);
+    renderAreaControls();
+  });
+
+  deleteArea.addEventListener('click', () => {
+    const active = activeSavedArea();
+    if (!active) return;
+    writeSavedAreas(readSavedAreas().filter((area) => area.name !== active.name));
+    renderAreaControls();
+  });
+
+  exportAreas.addEventListener('click', exportAreaGeojson);
+
   siteList.addEventListener('click', (event) => {
     const button = event.target.closest('button[data-id]');
     if (!button) return;
@@ -803,18 +4483,293 @@ function wireInputs() {
 
   styleToggle.addEventListener('click', () => {
     const currentIndex = styleOrder.indexOf(state.styleKey);
-    state.styleKey = styleOrder[(currentIndex + 1) % styleOrder.length];
-    updateStyleToggleLabel();
+    setMapStyle(styleOrder[(currentIndex + 1) % styleOrder.length]);
+  });
+
+  colorBySelect.addEventListener('change', (event) => {
+    state.colorBy = event.target.value;
+    applyPointStyling();
+    renderLegend();
+    writeUrlState('push');
+  });
+
+  clusterLabelSelect.addEventListener('change', (event) => {
+    state.clusterLabel = event.target.value;
+    applyClusterLabels();
+    writeUrlState('push');
+  });
+
+  sizeByValueToggle.addEventListener('change', (event) => {
+    state.sizeByValue = event.target.checked;
+    applyPointStyling();
+    renderLegend();
+    writeUrlState('push');
+  });
+
+  listSortSelect.addEventListener('change', (event) => {
+    state.listSort = event.target.value;
+    renderList();
+    writeUrlState('push');
+  });
+
+  scoreWeights.addEventListener('input', (event) => {
+    const input = event.target.closest('input[data-weight]');
+    if (!input) return;
+    setScoreWeights({ ...state.scoreWeights, [input.dataset.weight]: Number(input.value) }, { history: 'none' });
+  });
+
+  scoreWeights.addEventListener('change', (event) => {
+    if (!event.target.closest('input[data-weight]')) return;
+    writeUrlState('push');
+  });
+
+  scorePresetSelect.addEventListener('change', (event) => {
+    const preset = allScorePresets().find((entry) => entry.key === event.target.value);
+    if (preset) setScoreWeights({ ...preset.weights });
+  });
+
+  saveScorePreset.addEventListener('click', () => {
+    const name = window.prompt('Name this weighting preset')?.trim();
+    if (!name) return;
+    const presets = readScorePresets().filter((preset) => preset.name !== name);
+    writeScorePresets([...presets, { name, weights: { ...state.scoreWeights } }]);
+    renderScorePresets();
+  });
+
+  deleteScorePreset.addEventListener('click', () => {
+    const key = scorePresetSelect.value;
+    if (!key.startsWith('custom:')) return;
+    writeScorePresets(readScorePresets().filter((preset) => `custom:${preset.name}` !== key));
+    renderScorePresets();
+  });
+
+  shareLink.addEventListener('click', copyShareLink);
+
+  exportMenu.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-export]');
+    if (!button) return;
+    exportMenu.open = false;
+    exportFilteredSet(button.dataset.export).catch((error) => {
+      console.error(error);
+      window.alert(`Export failed: ${error.message}`);
+    });
+  });
+
+  window.addEventListener('popstate', restoreUrlState);
+
+  trendsView.addEventListener('click', (event) => {
+    const breakdownExport = event.target.closest('button[data-breakdown-export]');
+    if (breakdownExport) {
+      exportBreakdown(breakdownExport.dataset.breakdownExport);
+      return;
+    }
+
+    const action = event.target.closest('button[data-trend-action]')?.dataset.trendAction;
+    if (action === 'map') {
+      openOnMap(state.selectedId);
+      return;
+    }
+    if (action === 'clear') {
+      selectFeatureById(null);
+      return;
+    }
+
+    const target = event.target.closest('[data-site]');
+    if (target) selectFeatureById(target.dataset.site);
+  });
+
+  dataTableHead.addEventListener('click', (event) => {
+    const header = event.target.closest('th[data-sort-key]');
+    if (!header) return;
+    const key = header.dataset.sortKey;
+    const column = tableColumn(key);
+    if (state.tableSort === key) state.tableSort = `-${key}`;
+    else if (state.tableSort === `-${key}`) state.tableSort = key;
+    else state.tableSort = column?.numeric ? `-${key}` : key;
+    state.tablePage = 0;
+    renderTable();
+    writeUrlState('push');
+  });
+
+  dataTableBody.addEventListener('click', (event) => {
+    const row = event.target.closest('tr[data-site]');
+    if (row) selectFeatureById(row.dataset.site);
+  });
+
+  dataTableBody.addEventListener('dblclick', (event) => {
+    const row = event.target.closest('tr[data-site]');
+    if (row) openOnMap(row.dataset.site);
+  });
+
+  tablePager.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-page]');
+    if (!button) return;
+    state.tablePage = Number(button.dataset.page);
+    renderTable();
+  });
+
+  tablePageSize.addEventListener('change', (event) => {
+    state.tablePageSize = Number(event.target.value);
+    state.tablePage = 0;
+    renderTable();
+  });
+
+  columnOptions.addEventListener('change', (event) => {
+    const input = event.target.closest('input[type="checkbox"]');
+    if (!input) return;
+    setTableColumns(
+      input.checked ? [...state.tableColumns, input.value] : state.tableColumns.filter((key) => key !== input.value),
+    );
+  });
+
+  columnOptions.addEventListener('click', (event) => {
+    if (event.target.closest('button[data-column-action="reset"]')) setTableColumns(DEFAULT_TABLE_COLUMNS);
+  });
+
+  trendsView.addEventListener('dblclick', (event) => {
+    const target = event.target.closest('[data-site]');
+    if (target) openOnMap(target.dataset.site);
+  });
 
-    map.setStyle(styles[state.styleKey]);
-    map.once('style.load', () => {
-      addDataLayers();
-      applyMapPresentation();
-      updateSourceData();
-      updateSelectedLayer();
+  sizeValueChart.addEventListener('pointerdown', startChartBrush);
+  sizeValueChart.addEventListener('pointermove', moveChartBrush);
+  sizeValueChart.addEventListener('pointerup', endChartBrush);
+  sizeValueChart.addEventListener('pointercancel', endChartBrush);
+
+  for (const [select, field] of [
+    [chartScaleX, 'chartScaleX'],
+    [chartScaleY, 'chartScaleY'],
+  ]) {
+    select.addEventListener('change', (event) => {
+      state[field] = event.target.value;
+      renderTrends();
+      writeUrlState('push');
     });
+  }
+
+  sizeCutoffInput.addEventListener('change', (event) => {
+    const value = Number(event.target.value);
+    state.sizeCutoff = event.target.value.trim() && value > 0 ? value : Infinity;
+    renderTrends();
+    writeUrlState('push');
+  });
+
+  resetBrush.addEventListener('click', () => {
+    state.sizeRange = null;
+    state.valueRange = null;
+    applyFilters();
+  });
+
+  detailCard.addEventListener('change', handlePipelineChange);
+  detailCard.addEventListener('input', handleScenarioInput);
+  detailCard.addEventListener('change', handleProximityRadius);
+  detailCard.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-nearby-site]');
+    if (button) selectFeatureById(button.dataset.nearbySite, true);
+  });
+  portfolioInputs.addEventListener('input', handleScenarioInput);
+  detailCard.addEventListener(
+    'toggle',
+    (event) => {
+      if (event.target.matches('.scenario-block')) state.scenarioOpen = event.target.open;
+    },
+    true,
+  );
+  boardColumns.addEventListener('change', handlePipelineChange);
+
+  boardColumns.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-board-open]');
+    if (!button) return;
+    setView('map');
+    selectFeatureById(button.dataset.boardOpen, true);
+  });
+
+  boardColumns.addEventListener('dragstart', (event) => {
+    const card = event.target.closest('[data-board-id]');
+    if (!card) return;
+    event.dataTransfer.setData('text/plain', card.dataset.boardId);
+    event.dataTransfer.effectAllowed = 'move';
+  });
+
+  boardColumns.addEventListener('dragover', (event) => {
+    const column = event.target.closest('[data-status]');
+    if (!column) return;
+    event.preventDefault();
+    for (const entry of boardColumns.querySelectorAll('.board-column.drop-target')) {
+      entry.classList.toggle('drop-target', entry === column);
+    }
+    column.classList.add('drop-target');
+  });
+
+  boardColumns.addEventListener('drop', (event) => {
+    const column = event.target.closest('[data-status]');
+    const id = event.dataTransfer.getData('text/plain');
+    if (!column || !id) return;
+    event.preventDefault();
+    if (pipelineEntry(id)?.status === column.dataset.status) {
+      column.classList.remove('drop-target');
+      return;
+    }
+    updatePipelineEntry(id, { status: column.dataset.status });
+    applyFilters({ history: 'none' });
+  });
+
+  boardColumns.addEventListener('dragend', () => {
+    for (const column of boardColumns.querySelectorAll('.drop-target')) column.classList.remove('drop-target');
+  });
+
+  boardView.addEventListener('click', (event) => {
+    const action = event.target.closest('button[data-pipeline-action]')?.dataset.pipelineAction;
+    if (action === 'export') exportPipeline();
+    if (action === 'import') pipelineImportInput.click();
   });
 
+  pipelineImportInput.addEventListener('change', async () => {
+    const [file] = pipelineImportInput.files;
+    pipelineImportInput.value = '';
+    if (!file) return;
+    try {
+      const changed = await importPipeline(file);
+      applyFilters({ history: 'none' });
+      window.alert(`Imported ${changed} pipeline ${changed === 1 ? 'entry' : 'entries'}.`);
+    } catch (error) {
+      console.error(error);
+      window.alert(`Import failed: ${error.message}`);
+    }
+  });
+
+  // Keep several open tabs in step when one of them edits the pipeline or the match review.
+  window.addEventListener('storage', (event) => {
+    if (event.key === MATCH_REVIEW_STORAGE_KEY) {
+      state.matchReview = readMatchReview();
+      renderReview();
+    }
+    if (event.key !== PIPELINE_STORAGE_KEY) return;
+    state.pipeline = readPipeline();
+    applyFilters({ history: 'none' });
+  });
+
+  reviewList.addEventListener('click', (event) => {
+    const open = event.target.closest('button[data-review-open]');
+    if (open) {
+      openOnMap(open.dataset.reviewOpen);
+      return;
+    }
+    const button = event.target.closest('button[data-review-action]');
+    if (!button) return;
+    const { reviewAction, reviewSite, reviewKey } = button.dataset;
+    setMatchDecision(reviewSite, reviewKey, reviewAction === 'undo' ? null : reviewAction);
+    renderReview();
+  });
+
+  reviewFilterSelect.addEventListener('change', (event) => {
+    state.reviewFilter = event.target.value;
+    renderReview();
+    writeUrlState('push');
+  });
+
+  exportOverrides.addEventListener('click', exportMatchOverrides);
+
   viewSwitch.addEventListener('click', (event) => {
     const button = event.target.closest('button[data-view]');
     if (!button) return;
@@ -823,20 +4778,39 @@ function wireInputs() {
 }
 
 async function init() {
-  await loadData();
-  fillFilter(usageFilter, getUniqueValues('usage'));
-  fillFilter(zoningFilter, getUniqueValues('zoning'));
-  fillFilter(heritageGradeFilter, getUniqueValues('heritageCityGrade'));
+  await Promise.all([loadData(), loadInventory()]);
+  state.pipeline = readPipeline();
+  state.matchReview = readMatchReview();
+  readScenario();
+  buildFacetControls();
+  buildRangeControls();
+  buildScoreControls();
+  portfolioInputs.innerHTML = scenarioAssumptionInputs();
+  tablePageSize.innerHTML = TABLE_PAGE_SIZES.map((size) => `<option value="${size}">${size}</option>`).join('');
+  reviewFilterSelect.innerHTML = REVIEW_FILTERS.map((filter) => `<option value="${filter.key}">${filter.label}</option>`).join('');
+  colorBySelect.innerHTML = COLOR_MODES.map((mode) => `<option value="${mode.key}">${mode.label}</option>`).join('');
+  if (state.inventory) {
+    fillFilter(inventoryGradeFilter, getUniqueValues('heritageCityGrade', state.inventory.features));
+  } else {
+    inventoryControls.classList.add('hidden');
+  }
+  syncControlsFromState();
+  renderUnplaced();
   wireInputs();
 
   map.on('load', () => {
+    const hasCamera = Boolean(initialUrlState.camera);
     addDataLayers();
-    applyMapPresentation();
-    applyFilters();
-    fitToVisible();
+    applyMapPresentation({ animate: !hasCamera });
+    applyFilters({ history: 'none' });
+    if (!hasCamera) fitToVisible();
     const defaultView = window.innerWidth < 980 ? 'trends' : 'map';
     updateStyleToggleLabel();
-    setView(defaultView);
+    setView(initialUrlState.view || defaultView, { history: 'none' });
+
+    urlSyncReady = true;
+    writeUrlState('replace');
+    map.on('moveend', () => writeUrlState('replace'));
   });
 }
 
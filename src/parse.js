@@ -0,0 +1,82 @@
+// Parsing helpers shared by the browser app and scripts/build-geojson.mjs.
+
+export function parseNumber(value) {
+  if (value == null) return null;
+  let clean = String(value).trim();
+  clean = clean.replace(/\s+/g, '');
+  clean = clean.replace(/,/g, '');
+  clean = clean.replace(/[^\d.-]/g, '');
+  if (!clean) return null;
+  const parsed = Number.parseFloat(clean);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+export function parseSizeNumber(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  if (text.includes('+')) {
+    const parts = text
+      .split('+')
+      .map((part) => parseNumber(part))
+      .filter((part) => Number.isFinite(part));
+    if (!parts.length) return null;
+    return parts.reduce((sum, part) => sum + part, 0);
+  }
+
+  return parseNumber(text);
+}
+
+// "R7,000,000 – R10,500,000" -> { low: 7000000, high: 10500000, mid: 8750000, isRange: true }
+// A single figure yields low === high === mid. `irregular` marks thousands separators that are not
+// followed by three digits (e.g. "R12,00,000"), which usually means a digit was dropped at source.
+export function parseValueRange(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const figures = text
+    .split(/\s*(?:–|—|-|\bto\b)\s*/i)
+    .map((part) => parseNumber(part))
+    .filter((part) => Number.isFinite(part) && part > 0);
+  if (!figures.length) return null;
+
+  const low = Math.min(...figures);
+  const high = Math.max(...figures);
+
+  return {
+    low,
+    high,
+    mid: (low + high) / 2,
+    isRange: figures.length > 1 && high > low,
+    irregular: /\d,(?!\d{3}(?:\D|$))/.test(text),
+  };
+}
+
+const RATES_PERIODS = [
+  { period: 'month', perYear: 12, pattern: /\/\s*m(?:on)?th|\bper\s+month\b|\bmonthly\b|\bp\.?\s?m\.?(?![a-z])|\bpcm\b/i },
+  { period: 'quarter', perYear: 4, pattern: /\/\s*q(?:uarte)?r|\bper\s+quarter\b|\bquarterly\b/i },
+  { period: 'year', perYear: 1, pattern: /\/\s*(?:y(?:ea)?r|annum)|\bper\s+(?:year|annum)\b|\b(?:annual|annually|yearly)\b|\bp\.?\s?a\.?(?![a-z])/i },
+];
+
+// "R 9,814 / month" -> { amount: 9814, period: 'month', periodAssumed: false, annual: 117768 }
+// The workbook quotes rates monthly, so a figure without a period is read as monthly and flagged.
+export function parseRates(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const amount = parseNumber(text.replace(/\/.*$|\b(?:per|p\.?[ma]\.?)\b.*$/i, ''));
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+
+  const match = RATES_PERIODS.find((entry) => entry.pattern.test(text));
+  const { period, perYear } = match || RATES_PERIODS[0];
+
+  return {
+    amount,
+    period,
+    periodAssumed: !match,
+    annual: amount * perYear,
+  };
+}